@@ -19,4 +19,13 @@ module.exports = {
     "prefer-const": 2,
     "semi": 2,
   },
+  overrides: [
+    {
+      files: ['dist/node.js'],
+      env: {
+        browser: false,
+        node: true,
+      },
+    },
+  ],
 };
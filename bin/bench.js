@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+// Emulator benchmark: node bin/bench.js [--frames N] [--cpu] [--ppu] [--fast] [--baseline BUNDLE] [rom.gb]
+//
+// Runs a ROM headless (a built-in instruction mix when no ROM is given) and reports
+// instructions and frames per second. --baseline runs the same ROM on another build
+// of dist/node.js, e.g. one built in a git worktree of an earlier commit (see README),
+// to compare before and after.
+// --cpu runs the CPU alone without PPU and APU updates, --ppu runs the PPU alone on the
+// screen the ROM shows after PPU_WARMUP_FRAMES (random tiles and objects for the built-in
+// ROM, which leaves the screen blank), --fast uses the scanline renderer.
+const fs = require('fs');
+const path = require('path');
+
+const PPU_WARMUP_FRAMES = 60;
+
+// Loop over loads, ALU ops, CB ops, stack ops, calls and memory access
+function createBenchRom() {
+  const rom = new Uint8Array(0x8000);
+  const program = [
+    0x31, 0xfe, 0xff,       // LD SP,0xfffe
+    0x21, 0x00, 0xc0,       // loop: LD HL,0xc000
+    0x06, 0x40,             // LD B,0x40
+    0x7e,                   // inner: LD A,(HL)
+    0x80,                   // ADD A,B
+    0x89,                   // ADC A,C
+    0xee, 0x5a,             // XOR 0x5a
+    0xcb, 0x37,             // SWAP A
+    0xcb, 0x11,             // RL C
+    0x22,                   // LD (HL+),A
+    0xc5,                   // PUSH BC
+    0xcd, 0x40, 0x01,       // CALL sub
+    0xc1,                   // POP BC
+    0x05,                   // DEC B
+    0x20, 0xee,             // JR NZ,inner
+    0x18, 0xe7,             // JR loop
+  ];
+  const subroutine = [
+    0x57,                   // sub: LD D,A
+    0x1c,                   // INC E
+    0xb3,                   // OR E
+    0xcb, 0x7a,             // BIT 7,D
+    0xc9,                   // RET
+  ];
+  rom.set(program, 0x100);
+  rom.set(subroutine, 0x140);
+  return rom;
+}
+
+// Fill VRAM with random tiles and OAM with objects all over the screen, the same every run
+function fillScreen(dmg) {
+  let seed = 1;
+  const random = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) >> 16;
+  for (let addr = 0x8000; addr < 0xa000; addr++) {
+    dmg.mmu.writeByte(addr, random() & 0xff);
+  }
+  for (let n = 0; n < 40; n++) {
+    dmg.mmu.oam.set([16 + random() % 144, 8 + random() % 160, random() & 0xff, random() & 0xf0], n * 4);
+  }
+  dmg.mmu.writeByte(0xff40, 0xe3); // LCD, window at 9C00, objects and BG on
+  dmg.mmu.writeByte(0xff4a, 100);  // WY
+  dmg.mmu.writeByte(0xff4b, 87);   // WX
+}
+
+const benchRom = createBenchRom();
+
+function bench(bundle, rom, frames, cpuOnly, ppuOnly, fastRender) {
+  const { createDMG } = require(path.resolve(bundle));
+  const dmg = createDMG({ fastRender });
+  dmg.loadRom(Array.from(rom));
+  if (ppuOnly) {
+    return { bundle, ...benchPPU(dmg, frames, rom) };
+  }
+
+  const cpu = dmg.cpu;
+  const totalCycles = frames * dmg.cyclesPerFrame;
+  let instructions = 0;
+  let cycles = 0;
+
+  // Builds with DMG.tick advance the system from the CPU on every M-cycle,
+  // older builds update the PPU and APU after each instruction
+  const ticked = typeof dmg.tick === 'function';
+  if (ticked && cpuOnly) {
+    dmg.tick = () => {};
+  }
+
+  // Same loop as DMG.runFrame, counting instructions
+  const start = process.hrtime.bigint();
+  while (cycles < totalCycles) {
+    const n = cpu.update();
+    if (! ticked && ! cpuOnly) {
+      dmg.ppu.update(n);
+      dmg.apu.update(n);
+      dmg.mmu.update(n);
+    }
+    cycles += n;
+    instructions++;
+  }
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+  return {
+    bundle,
+    seconds,
+    instructionsPerSecond: instructions / seconds,
+    fps: frames / seconds,
+  };
+}
+
+// PPU updates for (frames) frames, after the ROM ran long enough to set up its screen
+function benchPPU(dmg, frames, rom) {
+  for (let n = 0; n < PPU_WARMUP_FRAMES; n++) {
+    dmg.runFrame();
+  }
+  if (rom === benchRom) {
+    fillScreen(dmg);
+  }
+  const totalCycles = frames * dmg.cyclesPerFrame;
+  const start = process.hrtime.bigint();
+  for (let cycles = 0; cycles < totalCycles; cycles += 4) {
+    dmg.ppu.update(4);
+  }
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+  return {
+    seconds,
+    instructionsPerSecond: 0,
+    fps: frames / seconds,
+  };
+}
+
+function report(result) {
+  const instructions = result.instructionsPerSecond ?
+    (result.instructionsPerSecond / 1e6).toFixed(2) + 'M instructions/s, ' : '';
+  console.log(result.bundle + ': ' + instructions +
+    result.fps.toFixed(1) + ' fps (' + result.seconds.toFixed(2) + 's)');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  let frames = 600;
+  let baseline = null;
+  let romFile = null;
+  let cpuOnly = false;
+  let ppuOnly = false;
+  let fastRender = false;
+
+  for (let n = 0; n < args.length; n++) {
+    if (args[n] === '--frames') {
+      frames = parseInt(args[++n], 10);
+    }
+    else if (args[n] === '--cpu') {
+      cpuOnly = true;
+    }
+    else if (args[n] === '--ppu') {
+      ppuOnly = true;
+    }
+    else if (args[n] === '--fast') {
+      fastRender = true;
+    }
+    else if (args[n] === '--baseline') {
+      baseline = args[++n];
+    }
+    else {
+      romFile = args[n];
+    }
+  }
+  const rom = romFile ? fs.readFileSync(romFile) : benchRom;
+  const current = bench(path.join(__dirname, '../dist/node.js'), rom, frames, cpuOnly, ppuOnly, fastRender);
+
+  if (baseline) {
+    const before = bench(baseline, rom, frames, cpuOnly, ppuOnly, fastRender);
+    report(before);
+    report(current);
+    console.log('speedup: ' + (current.fps / before.fps).toFixed(2) + 'x');
+  }
+  else {
+    report(current);
+  }
+}
+
+main();
@@ -1,18 +1,43 @@
 const concat = require('concat');
 
-var sourceFiles = [
-  'src/header.js',
+// Emulator core, no browser dependencies
+var coreFiles = [
   'src/utils.js',
+  'src/savestate.js',
   'src/cpu.js',
+  'src/timer.js',
+  'src/serial.js',
+  'src/link.js',
+  'src/printer.js',
+  'src/rtc.js',
+  'src/mbc7.js',
+  'src/huc3.js',
+  'src/camera.js',
   'src/mmu.js',
   'src/ppu.js',
   'src/apu.js',
-  'src/screen.js',
   'src/joypad.js',
   'src/dmg.js',
-  'src/footer.js',
 ]
 
-var outputFile = 'dist/index.js';
+var bundles = {
+  'dist/index.js': [
+    'src/header.js',
+    ...coreFiles,
+    'src/screen.js',
+    'src/webaudio.js',
+    'src/storage.js',
+    'src/browser.js',
+    'src/footer.js',
+  ],
+  'dist/node.js': [
+    'src/header.js',
+    ...coreFiles,
+    'src/node.js',
+    'src/footer.js',
+  ],
+}
 
-concat(sourceFiles, outputFile);
+for (const [outputFile, sourceFiles] of Object.entries(bundles)) {
+  concat(sourceFiles, outputFile);
+}
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+// Run public test ROMs against the emulator core and print a pass/fail matrix
+// node bin/conformance.js [--fixtures DIR] [--screenshots DIR] [--json FILE] [filter]
+//
+// ROMs are read from a local fixtures directory (default: test-roms), nothing is downloaded:
+//
+//   test-roms/blargg/        cpu_instrs, instr_timing, mem_timing - checked by serial output or RAM report
+//   test-roms/mooneye/       mooneye acceptance tests - checked by Fibonacci registers
+//   test-roms/acid/          dmg-acid2, cgb-acid2 - checked against reference images
+//   test-roms/scribbltests/  scribbltests - checked against reference images
+//
+// The ROMs are not part of the repo, test-roms/README.md lists where to get each suite and
+// the file names expected below each directory.
+//
+// The reference image of a ROM is the project's published screenshot saved next to it with
+// the extension .png, e.g. acid/dmg-acid2.png. Frames and references are compared by hashing
+// their pixels as palette indices, so the emulator's palette doesn't have to match the
+// colors of the reference.
+// ROMs listed in test-roms/known-failures.json are expected not to pass yet.
+//
+// Exit status is 0 when every ROM passes or is a known failure, 1 on a regression (any other
+// ROM failing, timing out or without a reference image) and 2 when no ROMs were found.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { decodePNG } = require('./png.js');
+const { run, screenshot, EXIT_PASS, EXIT_TIMEOUT } = require('./run.js');
+const { PPU } = require('../dist/node.js');
+
+const SUITES = [
+  { dir: 'blargg', check: 'serial', frames: 7200 },
+  { dir: 'mooneye', check: 'registers', frames: 1800 },
+  { dir: 'acid', check: 'frame', frames: 300 },
+  { dir: 'scribbltests', check: 'frame', frames: 300 },
+];
+
+const PASS = 'PASS';
+const FAIL = 'FAIL';
+const TIMEOUT = 'TIMEOUT';
+const ERROR = 'ERROR';
+const NO_REF = 'NO REF';
+
+const EXIT_OK = 0;
+const EXIT_REGRESSION = 1;
+const EXIT_NO_ROMS = 2;
+
+// Mooneye tests end with LD B,B and registers B, C, D, E, H, L set to
+// 3, 5, 8, 13, 21, 34 on success or 0x42 on failure
+const MOONEYE_PASS = [3, 5, 8, 13, 21, 34];
+const MOONEYE_FAIL = [0x42, 0x42, 0x42, 0x42, 0x42, 0x42];
+
+// Blargg tests that report in cartridge RAM write the result code to A000 (0x80 while running)
+// and the signature DE B0 61 to A001-A003, followed by the text output
+const BLARGG_SIGNATURE = [0xde, 0xb0, 0x61];
+const BLARGG_RUNNING = 0x80;
+
+// {code, text} reported in RAM, null until the test has finished
+function getRamReport(dmg) {
+  const xram = dmg.mmu.xram;
+  if (! equals(BLARGG_SIGNATURE, xram.subarray(1, 4)) || xram[0] === BLARGG_RUNNING) {
+    return null;
+  }
+  const end = xram.indexOf(0, 4);
+  return { code: xram[0], text: Buffer.from(xram.subarray(4, end)).toString('latin1') };
+}
+
+function getRegisters(cpu) {
+  return [cpu.B, cpu.C, cpu.D, cpu.E, cpu.H, cpu.L];
+}
+
+function equals(a, b) {
+  return a.every((value, n) => value === b[n]);
+}
+
+// All ROM files below dir, sorted
+function findRoms(dir) {
+  if (! fs.existsSync(dir)) {
+    return [];
+  }
+  const roms = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      roms.push(...findRoms(file));
+    }
+    else if (/\.gbc?$/i.test(entry.name)) {
+      roms.push(file);
+    }
+  }
+  return roms.sort();
+}
+
+// SHA-1 of (width * height * 4) RGBA pixels with each color replaced by the order of its
+// first appearance, equal for two images that only differ in their palette
+function hashImage(width, height, rgba) {
+  const colors = new Map();
+  const indices = new Uint8Array(width * height);
+  for (let n = 0; n < indices.length; n++) {
+    const color = (rgba[n * 4] << 16) | (rgba[n * 4 + 1] << 8) | rgba[n * 4 + 2];
+    if (! colors.has(color)) {
+      colors.set(color, colors.size);
+    }
+    indices[n] = colors.get(color);
+  }
+  return crypto.createHash('sha1').update(indices).digest('hex');
+}
+
+// Run a single ROM, returns {status, frames, detail}
+function runTest(file, suite, name, options) {
+  const rom = fs.readFileSync(file);
+  let result;
+
+  switch (suite.check) {
+    case 'serial':
+      result = run(rom, { frames: suite.frames, until: 'Passed', fail: 'Failed', stop: getRamReport });
+      break;
+
+    case 'registers':
+      result = run(rom, {
+        frames: suite.frames,
+        stop: (dmg) => {
+          const regs = getRegisters(dmg.cpu);
+          return equals(regs, MOONEYE_PASS) || equals(regs, MOONEYE_FAIL);
+        },
+      });
+      break;
+
+    case 'frame':
+      result = run(rom, { frames: suite.frames });
+      break;
+  }
+
+  if (options.screenshots) {
+    fs.mkdirSync(options.screenshots, { recursive: true });
+    fs.writeFileSync(path.join(options.screenshots, name.replace(/[\\/]/g, '_') + '.png'), screenshot(result.dmg));
+  }
+  if (result.error) {
+    return { status: ERROR, frames: result.frames, detail: result.error.message };
+  }
+
+  switch (suite.check) {
+    case 'serial': {
+      const report = getRamReport(result.dmg);
+      if (result.status === EXIT_PASS || (report && report.code === 0)) {
+        return { status: PASS, frames: result.frames };
+      }
+      const lastLine = (report ? report.text : result.serial).trim().split('\n').pop();
+      const timedOut = result.status === EXIT_TIMEOUT && ! report;
+      return { status: timedOut ? TIMEOUT : FAIL, frames: result.frames, detail: lastLine };
+    }
+
+    case 'registers': {
+      const regs = getRegisters(result.dmg.cpu);
+      if (equals(regs, MOONEYE_PASS)) {
+        return { status: PASS, frames: result.frames };
+      }
+      const detail = 'BCDEHL=' + regs.map((value) => value.toString(16).padStart(2, '0')).join(' ');
+      return { status: equals(regs, MOONEYE_FAIL) ? FAIL : TIMEOUT, frames: result.frames, detail };
+    }
+
+    case 'frame': {
+      const hash = hashImage(PPU.VIEWPORT_WIDTH, PPU.VIEWPORT_HEIGHT, result.dmg.ppu.frameBuf);
+      const referenceFile = file.replace(/\.gbc?$/i, '.png');
+      if (! fs.existsSync(referenceFile)) {
+        return { status: NO_REF, frames: result.frames, detail: 'no ' + path.basename(referenceFile) };
+      }
+      const reference = decodePNG(fs.readFileSync(referenceFile));
+      if (reference.width !== PPU.VIEWPORT_WIDTH || reference.height !== PPU.VIEWPORT_HEIGHT) {
+        return { status: NO_REF, frames: result.frames, detail: path.basename(referenceFile) + ' is not 160x144' };
+      }
+      const match = hashImage(reference.width, reference.height, reference.data) === hash;
+      return { status: match ? PASS : FAIL, frames: result.frames, detail: hash };
+    }
+  }
+}
+
+function parseArgs(argv) {
+  const options = { fixtures: 'test-roms', filter: null };
+  for (let n = 0; n < argv.length; n++) {
+    switch (argv[n]) {
+      case '--fixtures':
+        options.fixtures = argv[++n];
+        break;
+      case '--screenshots':
+        options.screenshots = argv[++n];
+        break;
+      case '--json':
+        options.json = argv[++n];
+        break;
+      default:
+        if (argv[n].startsWith('--')) {
+          throw Error('Unknown option: ' + argv[n]);
+        }
+        options.filter = argv[n];
+    }
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const knownFile = path.join(options.fixtures, 'known-failures.json');
+  const knownFailures = fs.existsSync(knownFile) ? JSON.parse(fs.readFileSync(knownFile, 'utf8')) : [];
+  const results = [];
+
+  for (const suite of SUITES) {
+    const dir = path.join(options.fixtures, suite.dir);
+    const roms = findRoms(dir);
+
+    if (! roms.length) {
+      console.log(suite.dir + ': no ROMs found in ' + dir);
+      continue;
+    }
+    for (const file of roms) {
+      const name = path.relative(options.fixtures, file).split(path.sep).join('/');
+      if (options.filter && ! name.includes(options.filter)) {
+        continue;
+      }
+      const result = { name, suite: suite.dir, ...runTest(file, suite, name, options) };
+      result.known = knownFailures.includes(name);
+      results.push(result);
+      const notes = [result.detail, result.known ? 'known failure' : null].filter(Boolean).join(', ');
+      console.log(result.status.padEnd(8) + name + (notes ? '  (' + notes + ')' : ''));
+    }
+  }
+
+  // Pass/fail matrix per suite
+  const statuses = [PASS, FAIL, TIMEOUT, ERROR, NO_REF];
+  console.log('\n' + 'suite'.padEnd(14) + statuses.map((s) => s.padStart(9)).join(''));
+  for (const suite of SUITES) {
+    const suiteResults = results.filter((r) => r.suite === suite.dir);
+    if (suiteResults.length) {
+      const counts = statuses.map((s) => String(suiteResults.filter((r) => r.status === s).length).padStart(9));
+      console.log(suite.dir.padEnd(14) + counts.join(''));
+    }
+  }
+
+  if (options.json) {
+    fs.writeFileSync(options.json, JSON.stringify(results, null, 2) + '\n');
+  }
+
+  if (! results.length) {
+    console.log('No ROMs found in ' + options.fixtures + ', see test-roms/README.md');
+    return EXIT_NO_ROMS;
+  }
+  const regressions = results.filter((r) => r.status !== PASS && ! r.known);
+  const fixed = results.filter((r) => r.status === PASS && r.known);
+  for (const r of fixed) {
+    console.log('Passing now, remove from known-failures.json: ' + r.name);
+  }
+  if (regressions.length) {
+    console.log(regressions.length + ' regression(s): ' + regressions.map((r) => r.name).join(', '));
+    return EXIT_REGRESSION;
+  }
+  return EXIT_OK;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
@@ -0,0 +1,144 @@
+// Minimal PNG encoder for RGBA frame buffers, and a decoder for reference images
+const zlib = require('zlib');
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(data) {
+  let crc = -1;
+  for (let n = 0; n < data.length; n++) {
+    crc = CRC_TABLE[(crc ^ data[n]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+// Length, type, data, CRC of type + data
+function chunk(type, data) {
+  const buf = Buffer.alloc(12 + data.length);
+  buf.writeUInt32BE(data.length, 0);
+  buf.write(type, 4, 'ascii');
+  Buffer.from(data).copy(buf, 8);
+  buf.writeUInt32BE(crc32(buf.subarray(4, 8 + data.length)), 8 + data.length);
+  return buf;
+}
+
+// Encode (width * height * 4) RGBA bytes as an 8-bit RGBA PNG
+function encodePNG(width, height, rgba) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // color type: RGBA
+
+  // Each scanline is prefixed with filter type 0 (none)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Channels per pixel for each color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Paeth predictor used by filter type 4
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// Decode a non-interlaced PNG with up to 8 bits per channel to {width, height, data} with RGBA data
+function decodePNG(buf) {
+  let width = 0;
+  let height = 0;
+  let depth = 0;
+  let colorType = 0;
+  let palette = null;
+  const idat = [];
+
+  for (let pos = 8; pos < buf.length;) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('ascii', pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + length);
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      depth = data[8];
+      colorType = data[9];
+      if (depth > 8 || data[12] !== 0 || ! CHANNELS[colorType]) {
+        throw Error('Unsupported PNG format');
+      }
+    }
+    else if (type === 'PLTE') {
+      palette = data;
+    }
+    else if (type === 'IDAT') {
+      idat.push(data);
+    }
+    pos += 12 + length;
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const channels = CHANNELS[colorType];
+  const bpp = Math.max(1, channels * depth / 8); // Bytes to the same channel of the previous pixel
+  const stride = Math.ceil(width * channels * depth / 8);
+  const line = new Uint8Array(stride);
+  const prev = new Uint8Array(stride);
+  const rgba = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    for (let x = 0; x < stride; x++) {
+      const value = raw[y * (stride + 1) + 1 + x];
+      const a = x >= bpp ? line[x - bpp] : 0;
+      const c = x >= bpp ? prev[x - bpp] : 0;
+      const predictors = [0, a, prev[x], (a + prev[x]) >> 1, paeth(a, prev[x], c)];
+      line[x] = value + predictors[filter];
+    }
+    for (let x = 0; x < width; x++) {
+      // Samples of less than 8 bits are packed MSB first
+      const sample = (n) => {
+        const bit = (x * channels + n) * depth;
+        return (line[bit >> 3] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+      };
+      const scale = 255 / ((1 << depth) - 1);
+      let color;
+      switch (colorType) {
+        case 0:
+          color = [sample(0) * scale, sample(0) * scale, sample(0) * scale, 255];
+          break;
+        case 2:
+          color = [sample(0), sample(1), sample(2), 255];
+          break;
+        case 3:
+          color = [...palette.subarray(sample(0) * 3, sample(0) * 3 + 3), 255];
+          break;
+        case 4:
+          color = [sample(0), sample(0), sample(0), sample(1)];
+          break;
+        default:
+          color = [sample(0), sample(1), sample(2), sample(3)];
+      }
+      rgba.set(color, (y * width + x) * 4);
+    }
+    prev.set(line);
+  }
+  return { width, height, data: rgba };
+}
+
+module.exports = { encodePNG, decodePNG, crc32 };
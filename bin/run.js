@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// Run a ROM headless: node bin/run.js [options] rom.gb
+// Requires `npm run build` first.
+const fs = require('fs');
+const path = require('path');
+const { encodePNG } = require('./png.js');
+const { createDMG, CaptureSerialPeer, Printer, PPU, hexify } = require('../dist/node.js');
+
+// Exit codes
+const EXIT_PASS = 0;
+const EXIT_FAIL = 1;
+const EXIT_TIMEOUT = 2;
+
+const USAGE = `Usage: node bin/run.js [options] rom.gb
+
+Options:
+  --frames N         Stop after N frames (default: 3600)
+  --until TEXT       Stop and exit 0 when the serial output contains TEXT
+  --fail TEXT        Stop and exit 1 when the serial output contains TEXT
+  --screenshot FILE  Write the final frame as PNG
+  --printer DIR      Connect a Game Boy Printer and write each print to DIR as PNG,
+                     --until and --fail still match the bytes sent to it
+  --quiet            Don't print serial output
+
+Exit status is 0 on success, 1 on failure or emulator error and 2 when
+--until is given but TEXT did not appear within the frame limit.`;
+
+// Run a ROM until a condition is met or the frame limit is reached
+// Returns {status, frames, serial, dmg}
+function run(rom, options = {}) {
+  const maxFrames = options.frames || 3600;
+  const dmg = createDMG();
+  const printer = options.onPrint ? new Printer(options.onPrint) : null;
+  let serial = '';
+
+  // The printer is tapped so --until and --fail still see the serial output
+  dmg.serial.connect(new CaptureSerialPeer((value) => {
+    const char = String.fromCharCode(value);
+    serial += char;
+    if (options.onSerial) {
+      options.onSerial(char);
+    }
+  }, printer));
+  let locked = null;
+  dmg.onCPULocked = (event) => {
+    locked = event;
+  };
+  dmg.loadRom(Array.from(rom));
+
+  try {
+    while (dmg.frames < maxFrames) {
+      try {
+        dmg.runFrame();
+      }
+      catch (e) {
+        return { status: EXIT_FAIL, frames: dmg.frames, serial, dmg, error: e };
+      }
+      if (locked) {
+        const error = new Error('CPU locked up: illegal opcode ' + hexify(locked.opcode) + ' at ' + hexify(locked.pc));
+        return { status: EXIT_FAIL, frames: dmg.frames, serial, dmg, error };
+      }
+      if (options.until && serial.includes(options.until)) {
+        return { status: EXIT_PASS, frames: dmg.frames, serial, dmg };
+      }
+      if (options.fail && serial.includes(options.fail)) {
+        return { status: EXIT_FAIL, frames: dmg.frames, serial, dmg };
+      }
+      if (options.stop && options.stop(dmg)) {
+        break;
+      }
+    }
+    return { status: options.until ? EXIT_TIMEOUT : EXIT_PASS, frames: dmg.frames, serial, dmg };
+  }
+  finally {
+    // Tear off the last sheet when it was printed without a margin after it
+    if (printer) {
+      printer.cut();
+    }
+  }
+}
+
+// Final frame as PNG
+function screenshot(dmg) {
+  return encodePNG(PPU.VIEWPORT_WIDTH, PPU.VIEWPORT_HEIGHT, dmg.ppu.frameBuf);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const files = [];
+
+  for (let n = 0; n < argv.length; n++) {
+    switch (argv[n]) {
+      case '--frames':
+        options.frames = parseInt(argv[++n], 10);
+        if (! (options.frames > 0)) {
+          throw Error('--frames must be a positive number');
+        }
+        break;
+      case '--until':
+        options.until = argv[++n];
+        break;
+      case '--fail':
+        options.fail = argv[++n];
+        break;
+      case '--screenshot':
+        options.screenshot = argv[++n];
+        break;
+      case '--printer':
+        options.printer = argv[++n];
+        break;
+      case '--quiet':
+        options.quiet = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (argv[n].startsWith('--')) {
+          throw Error('Unknown option: ' + argv[n]);
+        }
+        files.push(argv[n]);
+    }
+  }
+  options.rom = files[0];
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  }
+  catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return EXIT_FAIL;
+  }
+  if (options.help || ! options.rom) {
+    console.error(USAGE);
+    return options.help ? EXIT_PASS : EXIT_FAIL;
+  }
+  if (! options.quiet) {
+    options.onSerial = (char) => process.stdout.write(char);
+  }
+  if (options.printer) {
+    let prints = 0;
+    fs.mkdirSync(options.printer, { recursive: true });
+    options.onPrint = (image) => {
+      const file = path.join(options.printer, 'print-' + String(++prints).padStart(3, '0') + '.png');
+      fs.writeFileSync(file, encodePNG(image.width, image.height, image.data));
+      if (! options.quiet) {
+        console.log('Printed ' + file);
+      }
+    };
+  }
+
+  const result = run(fs.readFileSync(options.rom), options);
+
+  if (result.serial && ! options.quiet && ! result.serial.endsWith('\n')) {
+    process.stdout.write('\n');
+  }
+  if (result.error) {
+    console.error(path.basename(options.rom) + ': ' + result.error.message);
+  }
+  if (options.screenshot) {
+    fs.writeFileSync(options.screenshot, screenshot(result.dmg));
+  }
+  if (result.status === EXIT_TIMEOUT) {
+    console.error(path.basename(options.rom) + ': timed out after ' + result.frames + ' frames');
+  }
+  return result.status;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { run, screenshot, EXIT_PASS, EXIT_FAIL, EXIT_TIMEOUT };
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+// Check CPU instructions against SingleStepTests sm83 JSON vectors
+// node bin/sm83.js [--verbose] DIR [opcode...]
+//
+// DIR contains one file per opcode (00.json ... ff.json, "cb 00.json" ... "cb ff.json").
+// Each test gives an initial and final register/RAM state and the list of bus cycles.
+// The SM83 fetches the next opcode during the last M-cycle of an instruction, so the opcode
+// under test was already fetched from initial.pc - 1 and each test ends with the fetch of
+// the next opcode at final.pc - 1.
+//
+// The CPU runs against a flat 64 KB bus and registers, memory, cycle counts and the
+// M-cycle of each bus access are compared. Requires `npm run build` first.
+// test/sm83 has a small set of vectors in this format that `npm test` runs.
+const fs = require('fs');
+const path = require('path');
+const { CPU, hexify } = require('../dist/node.js');
+
+const REGISTERS = ['a', 'b', 'c', 'd', 'e', 'f', 'h', 'l', 'pc', 'sp'];
+
+// Flat 64 KB memory recording every access and the M-cycle it happened in
+// IE and IF are part of the flat memory, the CPU reads them through ie and io like the MMU
+class TestBus {
+  constructor() {
+    this.ram = new Uint8Array(0x10000);
+    this.io = this.ram.subarray(0xff00, 0xff80);
+    this.accesses = [];
+    this.cycle = 0;
+  }
+
+  get ie() {
+    return this.ram[0xffff];
+  }
+
+  // The CPU ticks before each access, so an access belongs to the last M-cycle ticked
+  tick() {
+    this.cycle++;
+  }
+
+  readByte(loc) {
+    const value = this.ram[loc & 0xffff];
+    this.accesses.push([this.cycle - 1, loc & 0xffff, value, 'read']);
+    return value;
+  }
+
+  writeByte(loc, value) {
+    this.ram[loc & 0xffff] = value & 0xff;
+    this.accesses.push([this.cycle - 1, loc & 0xffff, value & 0xff, 'write']);
+  }
+
+  OAMDMATransfer() {
+  }
+}
+
+function setState(cpu, bus, state) {
+  for (const reg of REGISTERS) {
+    cpu[reg.toUpperCase()] = state[reg];
+  }
+  cpu.IMEEnabled = Boolean(state.ime);
+  cpu.haltMode = false;
+  if (state.ie !== undefined) {
+    bus.ram[0xffff] = state.ie;
+  }
+  for (const [loc, value] of state.ram) {
+    bus.ram[loc] = value;
+  }
+}
+
+// Differences between the CPU state and the expected final state
+function diffState(cpu, bus, test) {
+  const diffs = [];
+  const expected = test.final;
+
+  for (const reg of REGISTERS) {
+    const value = cpu[reg.toUpperCase()];
+    if (value !== expected[reg]) {
+      diffs.push(reg.toUpperCase() + ': expected ' + hexify(expected[reg]) + ', got ' + hexify(value));
+    }
+  }
+  if (expected.ime !== undefined && Boolean(expected.ime) !== cpu.IMEEnabled) {
+    diffs.push('IME: expected ' + expected.ime + ', got ' + (cpu.IMEEnabled ? 1 : 0));
+  }
+  for (const [loc, value] of expected.ram) {
+    if (bus.ram[loc] !== value) {
+      diffs.push('(' + hexify(loc) + '): expected ' + hexify(value) + ', got ' + hexify(bus.ram[loc]));
+    }
+  }
+
+  // Each test cycle is one M-cycle, internal cycles have no read or write
+  const cycles = test.cycles.length * 4;
+  if (cpu.cycles !== cycles) {
+    diffs.push('cycles: expected ' + cycles + ', got ' + cpu.cycles);
+  }
+  const accesses = [];
+  test.cycles.forEach((c, n) => {
+    if (c && c[2] && /[rw]/.test(c[2])) {
+      accesses.push([n, c[0], c[1], c[2].includes('w') ? 'write' : 'read']);
+    }
+  });
+  const format = (list) => list.map(([n, loc, value, type]) => {
+    return n + ':' + type + ' ' + hexify(loc) + '=' + hexify(value);
+  }).join(', ');
+  if (format(accesses) !== format(bus.accesses)) {
+    diffs.push('bus: expected [' + format(accesses) + ']');
+    diffs.push('     got      [' + format(bus.accesses) + ']');
+  }
+  return diffs;
+}
+
+function runTest(test) {
+  const bus = new TestBus();
+  const cpu = new CPU({ mmu: bus, joypad: null, cgbMode: false, tick: () => bus.tick() });
+  cpu.reset();
+  setState(cpu, bus, test.initial);
+  bus.accesses = [];
+  bus.cycle = 0;
+
+  // Opcode fetched by the previous instruction, not part of the test's cycles
+  const code = bus.ram[(cpu.PC - 1) & 0xffff];
+  try {
+    cpu.cycles = 0;
+    cpu.execute(code);
+
+    // Next opcode fetch, the HALT bug keeps PC on the fetched opcode
+    cpu.readCycle(cpu.PC);
+    if (cpu.haltBug) {
+      cpu.haltBug = false;
+    }
+    else {
+      cpu.PC = (cpu.PC + 1) & 0xffff;
+    }
+  }
+  catch (e) {
+    return ['error: ' + e.message];
+  }
+  return diffState(cpu, bus, test);
+}
+
+// Instruction bytes, starting with the opcode before the initial PC
+function getInstruction(test) {
+  const ram = new Map(test.initial.ram);
+  const pc = (test.initial.pc - 1) & 0xffff;
+  const bytes = [ram.get(pc), ram.get((pc + 1) & 0xffff), ram.get((pc + 2) & 0xffff)];
+  return bytes.map((b) => b === undefined ? '..' : b.toString(16).padStart(2, '0')).join(' ');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const [dir, ...filter] = args.filter((arg) => arg !== '--verbose');
+
+  if (! dir) {
+    console.error('Usage: node bin/sm83.js [--verbose] DIR [opcode...]');
+    return 1;
+  }
+  const files = fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .filter((file) => ! filter.length || filter.includes(path.basename(file, '.json')))
+    .sort();
+
+  let passed = 0;
+  let failed = 0;
+  const failedOpcodes = [];
+
+  for (const file of files) {
+    const tests = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const opcode = path.basename(file, '.json');
+    let opcodeFailed = 0;
+
+    for (const test of tests) {
+      const diffs = runTest(test);
+      if (! diffs.length) {
+        passed++;
+        continue;
+      }
+      failed++;
+
+      // Show the first diverging test of each opcode, or all with --verbose
+      if (opcodeFailed++ === 0 || verbose) {
+        console.log('FAIL ' + opcode + ' "' + test.name + '" (' + getInstruction(test) + ' at ' + hexify((test.initial.pc - 1) & 0xffff) + ')');
+        for (const diff of diffs) {
+          console.log('  ' + diff);
+        }
+      }
+    }
+    if (opcodeFailed) {
+      failedOpcodes.push(opcode + ' (' + opcodeFailed + '/' + tests.length + ')');
+    }
+  }
+
+  console.log('\n' + passed + ' passed, ' + failed + ' failed, ' + files.length + ' opcodes');
+  if (failedOpcodes.length) {
+    console.log('Failed opcodes: ' + failedOpcodes.join(', '));
+  }
+  return failed ? 1 : 0;
+}
+
+module.exports = { runTest };
+
+if (require.main === module) {
+  process.exitCode = main();
+}
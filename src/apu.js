@@ -37,18 +37,16 @@ class APU {
   static lengthSequence =   [1, 0, 1, 0, 1, 0, 1, 0];
   static envelopeSequence = [0, 0, 0, 0, 0, 0, 0, 1];
   static sweepSequence =    [0, 0, 1, 0, 0, 0, 1, 0];
-  static defaultGainAmount = 0.01;
+  static defaultSampleRate = 44100;
 
   constructor(dmg) {
     this.dmg = dmg;
-    this.audioContext = new AudioContext();
+    this.audio = null;
     this.sampleLeft = new Array(APU.frameCount);
     this.sampleRight = new Array(APU.frameCount);
-    this.audioQueue = null;
-    this.nextAudioTime = 0;
     this.currentFrame = 0;
     this.cycles = 0;
-    this.sampleRate = this.audioContext.sampleRate;
+    this.sampleRate = APU.defaultSampleRate;
     this.samplingInterval = Math.floor(CPU.CLOCK_SPEED / this.sampleRate);
     this.enabled = false;
     this.square1 = new Square({
@@ -110,36 +108,32 @@ class APU {
 
   reset() {
     this.mmu = this.dmg.mmu;
+    // Audio sink: {sampleRate, queue(left, right)} receives buffers of APU.frameCount samples
+    this.audio = this.dmg.audio;
+    this.sampleRate = this.audio ? this.audio.sampleRate : APU.defaultSampleRate;
+    this.samplingInterval = Math.floor(CPU.CLOCK_SPEED / this.sampleRate);
     this.cycles = 0;
     this.currentFrame = 0;
-    this.audioQueue = [];
-    this.nextAudioTime = 0;
     this.enabled = false;
     this.volumeLeft = 0;
     this.volumeRight = 0;
   }
 
-  processAudioQueue() {
-    // Schedule audio playback until the queue is empty
-    while (this.audioQueue.length) {
-      // HACK: Sample playback is lagging behind so fast-forward
-      if (this.audioContext.currentTime > this.nextAudioTime) {
-        console.log("audio lag!");
-        this.nextAudioTime = this.audioContext.currentTime;
-      }
-      const buffer = this.audioContext.createBuffer(2, APU.frameCount, this.sampleRate);
-      buffer.getChannelData(0).set(this.audioQueue.shift());
-      buffer.getChannelData(1).set(this.audioQueue.shift());
-
-      const source = this.audioContext.createBufferSource();
-      const gain = this.audioContext.createGain();
-
-      gain.connect(this.audioContext.destination);
-      gain.gain.value = APU.defaultGainAmount;
-      source.buffer = buffer;
-      source.connect(gain);
-      source.start(this.nextAudioTime);
-      this.nextAudioTime += buffer.duration;
+  saveState(state) {
+    state.f64(this.cycles);
+    state.i32(this.currentFrame);
+    state.bool(this.enabled);
+    for (const channel of this.channels) {
+      channel.saveState(state);
+    }
+  }
+
+  loadState(state) {
+    this.cycles = state.f64();
+    this.currentFrame = state.i32();
+    this.enabled = state.bool();
+    for (const channel of this.channels) {
+      channel.loadState(state);
     }
   }
 
@@ -205,10 +199,11 @@ class APU {
         this.sampleLeft[this.currentFrame] = volumeLeft / 4;
         this.sampleRight[this.currentFrame] = volumeRight / 4;
 
-        // Push samples to audio queue when buffer is full
+        // Send samples to the audio sink when buffer is full
         if (this.currentFrame == APU.frameCount - 1) {
-          this.audioQueue.push(this.sampleLeft);
-          this.audioQueue.push(this.sampleRight);
+          if (this.audio) {
+            this.audio.queue(this.sampleLeft, this.sampleRight);
+          }
           this.sampleLeft = new Array(APU.frameCount);
           this.sampleRight = new Array(APU.frameCount);
           this.currentFrame = 0;
@@ -217,7 +212,6 @@ class APU {
           this.currentFrame++;
         }
       }
-      this.processAudioQueue();
       this.cycles++;
     }
   }
@@ -344,7 +338,6 @@ class APU {
   }
 }
 
-window.APU = APU;
 
 class Channel {
 
@@ -357,6 +350,41 @@ class Channel {
     this.lengthEnabled = false;
     this.envelopeTimer = 0;
     this.enabled = false;
+    this.position = 0;
+    this.LFSR = 0;
+    this.sweepTimer = 0;
+    this.sweepEnabled = false;
+    this.shadowFrequency = 0;
+  }
+
+  saveState(state) {
+    state.i32(this.volume);
+    state.i32(this.frequency);
+    state.i32(this.frequencyTimer);
+    state.i32(this.lengthCounter);
+    state.bool(this.lengthEnabled);
+    state.i32(this.envelopeTimer);
+    state.bool(this.enabled);
+    state.i32(this.position);
+    state.i32(this.LFSR);
+    state.i32(this.sweepTimer);
+    state.bool(this.sweepEnabled);
+    state.i32(this.shadowFrequency);
+  }
+
+  loadState(state) {
+    this.volume = state.i32();
+    this.frequency = state.i32();
+    this.frequencyTimer = state.i32();
+    this.lengthCounter = state.i32();
+    this.lengthEnabled = state.bool();
+    this.envelopeTimer = state.i32();
+    this.enabled = state.bool();
+    this.position = state.i32();
+    this.LFSR = state.i32();
+    this.sweepTimer = state.i32();
+    this.sweepEnabled = state.bool();
+    this.shadowFrequency = state.i32();
   }
 
   // Frequency timer
@@ -498,7 +526,6 @@ class Square extends Channel {
   }
 }
 
-window.Square = Square;
 
 // Wave channel
 class Wavetable extends Channel {
@@ -560,7 +587,6 @@ class Wavetable extends Channel {
   }
 }
 
-window.Wavetable = Wavetable;
 
 class Noise extends Channel {
   static divisorCodes = {
@@ -613,4 +639,3 @@ class Noise extends Channel {
     this.LFSR = 32767;
   }
 }
-window.Noise = Noise;
@@ -0,0 +1,128 @@
+// Browser shell: canvas video, Web Audio, keyboard input and requestAnimationFrame pacing
+
+// TODO: Clean up this code
+
+window.createDMG = () => {
+
+  const dmg = new DMG();
+  const screenElem = document.getElementById('screen');
+
+  dmg.screen = new LCDScreen(screenElem);
+  dmg.audio = new WebAudioOutput();
+  dmg.joypad = new Joypad(dmg);
+  dmg.cpu = new CPU(dmg);
+  dmg.timer = new Timer(dmg);
+  dmg.serial = new Serial(dmg);
+  dmg.ppu = new PPU(dmg);
+  dmg.ppu.fastRender = new URLSearchParams(window.location.search).has('fast'); // index.html?fast
+  dmg.apu = new APU(dmg);
+  dmg.mmu = new MMU(dmg);
+  dmg.storage = window.indexedDB ? new IndexedDBBackend() : new LocalStorageBackend();
+  dmg.onCPULocked = (event) => window.showCrashOverlay(event);
+  return dmg;
+};
+
+// Cover the screen with an error message when the CPU locks up
+window.showCrashOverlay = (event) => {
+  let overlay = document.getElementById('crash');
+  if (! overlay) {
+    const screenElem = document.getElementById('screen');
+    overlay = document.createElement('div');
+    overlay.id = 'crash';
+    Object.assign(overlay.style, {
+      position: 'absolute',
+      inset: '0',
+      alignItems: 'center',
+      justifyContent: 'center',
+      textAlign: 'center',
+      background: 'rgba(0, 0, 0, 0.75)',
+      color: '#fff',
+      font: '16px monospace',
+    });
+    screenElem.parentNode.style.position = 'relative';
+    screenElem.parentNode.appendChild(overlay);
+  }
+  overlay.textContent = 'CPU locked up: illegal opcode ' + hexify(event.opcode) + ' at ' + hexify(event.pc);
+  overlay.style.display = 'flex';
+};
+
+window.hideCrashOverlay = () => {
+  const overlay = document.getElementById('crash');
+  if (overlay) {
+    overlay.style.display = 'none';
+  }
+};
+
+// Run one frame per animation frame
+// Only one loop runs at a time, starting again after loading a ROM replaces the previous loop
+window.startDMG = (dmg) => {
+  window.stopDMG();
+  const nextFrame = () => {
+    dmg.runFrame();
+    window.frameRequest = requestAnimationFrame(nextFrame);
+  };
+  dmg.start();
+  nextFrame();
+};
+
+window.stopDMG = () => {
+  if (window.frameRequest) {
+    cancelAnimationFrame(window.frameRequest);
+    window.frameRequest = null;
+  }
+};
+
+window.loadRomFromFile = (event, file) => {
+  const reader = new FileReader();
+  const dmg = window.dmg;
+  reader.readAsArrayBuffer(file);
+  console.log(file.name + ' is loading...');
+  reader.onload = function() {
+    window.stopDMG();
+    window.hideCrashOverlay();
+    dmg.flushPendingSave();
+    dmg.loadRom(Array.from(new Uint8Array(reader.result)));
+    dmg.loadSave()
+      .catch((e) => console.error("Unable to load save: " + e))
+      .then(() => window.startDMG(dmg));
+    event.target.blur(); // Remove focus after loading
+  };
+};
+
+window.setupInputHandlers = () => {
+  const dmg = window.dmg;
+  document.addEventListener('keydown', (e) => {
+    dmg.keyPressed(e.key, true);
+  });
+  document.addEventListener('keyup', (e) => {
+    dmg.keyPressed(e.key, false);
+  });
+};
+
+// Write pending battery saves when the page is hidden or closed
+window.setupSaveHandlers = () => {
+  const dmg = window.dmg;
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      dmg.flushPendingSave();
+    }
+  });
+  window.addEventListener('beforeunload', () => dmg.flushPendingSave());
+};
+
+window.onload = () => {
+  window.dmg = window.createDMG();
+  window.setupInputHandlers();
+  window.setupSaveHandlers();
+};
+
+// Expose emulator classes for debugging from the console
+Object.assign(window, {
+  DMG, CPU, Timer, Serial, NullSerialPeer, CaptureSerialPeer,
+  LinkCable, RemoteLink, MessagePortTransport, WebSocketTransport, Printer,
+  MMU, PPU, APU, Square, Wavetable, Noise, Joypad,
+  RTC, HuC3RTC, EEPROM, Accelerometer, Camera,
+  StateWriter, StateReader, LCDScreen, WebAudioOutput,
+  LocalStorageBackend, IndexedDBBackend,
+  hexify, tcBin2Dec, uint16, getText,
+});
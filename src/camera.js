@@ -0,0 +1,197 @@
+// Game Boy Camera (Pocket Camera) M64282FP sensor
+//
+// Camera registers are mapped to A000-A035 when 0x10 is written to the RAM bank register.
+// A capture reads a grayscale frame from the image source, applies exposure, gain,
+// edge enhancement and the dithering matrix, then writes the picture as 2bpp tiles
+// to cartridge RAM at 0xa100.
+class Camera {
+  static WIDTH = 128;
+  static HEIGHT = 112;
+
+  // Registers
+  static REG_SHOOT = 0x00;      // bit 0: start capture/busy, bits 1-2: output edge mode
+  static REG_GAIN = 0x01;       // bit 7: N, bits 5-6: VH edge direction, bits 0-4: gain
+  static REG_EXPOSURE_HI = 0x02;
+  static REG_EXPOSURE_LO = 0x03;
+  static REG_EDGE = 0x04;       // bit 7: E3 edge enhancement, bits 4-6: edge ratio, bit 3: invert, bits 0-2: voltage
+  static REG_OFFSET = 0x05;     // bits 0-5: output offset
+  static REG_MATRIX = 0x06;     // 0x06-0x35: 4x4 dithering matrix, 3 thresholds per pixel
+  static NUM_REGISTERS = 0x36;
+
+  // Picture is written to RAM bank 0 at 0xa100
+  static PICTURE_OFFSET = 0x100;
+
+  // Edge enhancement ratios selected by REG_EDGE bits 4-6
+  static EDGE_RATIOS = [0.5, 0.75, 1, 1.25, 2, 3, 4, 5];
+
+  constructor(mmu) {
+    this.mmu = mmu;
+    this.registers = new Uint8Array(Camera.NUM_REGISTERS);
+    this.busyCycles = 0;
+  }
+
+  saveState(state) {
+    state.bytes(this.registers);
+    state.i32(this.busyCycles);
+  }
+
+  loadState(state) {
+    state.into(this.registers);
+    this.busyCycles = state.i32();
+  }
+
+  // Only the shoot register can be read back, other registers read 0
+  readByte(loc) {
+    const reg = (loc - 0xa000) & 0x7f;
+    if (reg === Camera.REG_SHOOT) {
+      return this.registers[Camera.REG_SHOOT] & 0x07;
+    }
+    return 0x00;
+  }
+
+  writeByte(loc, value) {
+    const reg = (loc - 0xa000) & 0x7f;
+    if (reg >= Camera.NUM_REGISTERS) {
+      return;
+    }
+    if (reg === Camera.REG_SHOOT) {
+      // Start capture on 0 -> 1 transition, writing 0 cancels a capture
+      if ((value & 1) && ! (this.registers[reg] & 1)) {
+        this.busyCycles = this.getCaptureCycles();
+      }
+      else if (! (value & 1)) {
+        this.busyCycles = 0;
+      }
+      this.registers[reg] = value & 0x07;
+    }
+    else {
+      this.registers[reg] = value;
+    }
+  }
+
+  getExposure() {
+    return (this.registers[Camera.REG_EXPOSURE_HI] << 8) | this.registers[Camera.REG_EXPOSURE_LO];
+  }
+
+  // Capture duration in CPU cycles
+  getCaptureCycles() {
+    const n = this.registers[Camera.REG_GAIN] & 0x80;
+    return 32446 + (n ? 0 : 512) + this.getExposure() * 16;
+  }
+
+  // Advance capture by (n) cycles
+  update(cycles) {
+    if (this.busyCycles > 0) {
+      this.busyCycles -= cycles;
+      if (this.busyCycles <= 0) {
+        this.busyCycles = 0;
+        this.capture();
+        this.registers[Camera.REG_SHOOT] &= ~1;
+      }
+    }
+  }
+
+  // Get a grayscale frame from the image source (0 = black, 255 = white)
+  // Uses a test pattern when no source is set
+  getImage() {
+    const source = this.mmu.dmg.cameraSource;
+    if (source) {
+      return source(Camera.WIDTH, Camera.HEIGHT);
+    }
+    const image = new Uint8Array(Camera.WIDTH * Camera.HEIGHT);
+    for (let y = 0; y < Camera.HEIGHT; y++) {
+      for (let x = 0; x < Camera.WIDTH; x++) {
+        image[y * Camera.WIDTH + x] = ((x >> 4) + (y >> 4)) & 1 ? x * 2 : 255 - x * 2;
+      }
+    }
+    return image;
+  }
+
+  // Apply exposure, gain, offset and inversion to the sensor output
+  getSensorImage() {
+    const image = this.getImage();
+    const output = new Float32Array(Camera.WIDTH * Camera.HEIGHT);
+    const exposure = this.getExposure() / 0x1000;
+    const gain = 1 + (this.registers[Camera.REG_GAIN] & 0x1f) / 16;
+    const offset = (this.registers[Camera.REG_OFFSET] & 0x1f) * ((this.registers[Camera.REG_OFFSET] & 0x20) ? 1 : -1);
+    const invert = (this.registers[Camera.REG_EDGE] & 0x08) !== 0;
+
+    for (let n = 0; n < output.length; n++) {
+      let value = (image[n] || 0) * exposure * gain + offset;
+      if (invert) {
+        value = 255 - value;
+      }
+      output[n] = value;
+    }
+    return output;
+  }
+
+  // Edge enhancement: v + ratio * (k * v - sum of neighbours)
+  // VH selects neighbours: 1 = vertical, 2 = horizontal, 3 = both
+  enhanceEdges(input) {
+    const vh = (this.registers[Camera.REG_GAIN] >> 5) & 0x3;
+    const enabled = (this.registers[Camera.REG_EDGE] & 0x80) !== 0;
+
+    if (! enabled || vh === 0) {
+      return input;
+    }
+    const ratio = Camera.EDGE_RATIOS[(this.registers[Camera.REG_EDGE] >> 4) & 0x7];
+    const output = new Float32Array(input.length);
+    const w = Camera.WIDTH;
+    const h = Camera.HEIGHT;
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const value = input[y * w + x];
+        let sum = 0;
+        let count = 0;
+        if (vh & 1) {
+          sum += input[Math.max(y - 1, 0) * w + x] + input[Math.min(y + 1, h - 1) * w + x];
+          count += 2;
+        }
+        if (vh & 2) {
+          sum += input[y * w + Math.max(x - 1, 0)] + input[y * w + Math.min(x + 1, w - 1)];
+          count += 2;
+        }
+        output[y * w + x] = value + ratio * (count * value - sum) / count;
+      }
+    }
+    return output;
+  }
+
+  // Convert the processed image to 2bpp tiles using the dithering matrix
+  capture() {
+    const image = this.enhanceEdges(this.getSensorImage());
+    const xram = this.mmu.xram;
+
+    for (let y = 0; y < Camera.HEIGHT; y++) {
+      for (let x = 0; x < Camera.WIDTH; x++) {
+        const value = image[y * Camera.WIDTH + x];
+        const matrix = Camera.REG_MATRIX + ((y & 3) * 4 + (x & 3)) * 3;
+        let colorId;
+
+        if (value < this.registers[matrix]) {
+          colorId = 3;
+        }
+        else if (value < this.registers[matrix + 1]) {
+          colorId = 2;
+        }
+        else if (value < this.registers[matrix + 2]) {
+          colorId = 1;
+        }
+        else {
+          colorId = 0;
+        }
+
+        // 16 tiles per row, 16 bytes per tile
+        const tile = (y >> 3) * 16 + (x >> 3);
+        const offset = Camera.PICTURE_OFFSET + tile * 16 + (y & 7) * 2;
+        const bit = 1 << (7 - (x & 7));
+
+        // Written through the MMU so changed photos are flagged for autosave
+        this.mmu.writeXRAM(offset, (colorId & 1) ? xram[offset] | bit : xram[offset] & ~bit);
+        this.mmu.writeXRAM(offset + 1, (colorId & 2) ? xram[offset + 1] | bit : xram[offset + 1] & ~bit);
+      }
+    }
+  }
+}
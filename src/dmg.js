@@ -6,6 +6,9 @@ class DMG {
   static FRAMES_PER_SECOND = 60;
   static CYCLES_PER_FRAME = CPU.CLOCK_SPEED / DMG.FRAMES_PER_SECOND;
 
+  // Frames without cart RAM writes before battery saves are written to storage
+  static AUTOSAVE_DELAY = 60;
+
   // Controller mapping
   static CONTROLS = {
     "w": "up",
@@ -18,17 +21,34 @@ class DMG {
     "i": "start",
   }
 
+  // Tilt mapping (x, y) for accelerometer carts
+  static TILT_CONTROLS = {
+    "arrowup": [0, -1],
+    "arrowdown": [0, 1],
+    "arrowleft": [-1, 0],
+    "arrowright": [1, 0],
+  }
+
   constructor() {
     this.cpu = null;
     this.ppu = null;
     this.apu = null;
     this.mmu = null;
-    this.screen = null;
     this.joypad = null;
-    this.screen = null;
+    this.timer = null;
+    this.serial = null;
+    this.screen = null; // Video sink: reset() and update(frameBuf) with 160x144 RGBA pixels
+    this.audio = null; // Audio sink: sampleRate and queue(left, right) (see APU)
     this.cyclesPerFrame = DMG.CYCLES_PER_FRAME;
     this.started = false;
     this.cgbMode = false;
+    this.rtcSyncHostTime = false; // Advance cartridge clocks by the host time passed between sessions
+    this.onRumble = null; // Called with (on, cycles) when a rumble cartridge switches its motor
+    this.onCPULocked = null; // Called with {type: 'cpu-locked', pc, opcode} when the CPU hits an illegal opcode
+    this.tiltKeys = {};
+    this.storage = null; // Storage backend for battery saves (see storage.js)
+    this.autosaveCountdown = 0;
+    this.cameraSource = null; // Function (width, height) returning a grayscale frame (0 = black) for the Pocket Camera
   }
 
   reset() {
@@ -37,10 +57,14 @@ class DMG {
     this.frames = 0;
     this.cpu.reset();
     this.ppu.reset();
-    this.screen.reset();
+    if (this.screen) {
+      this.screen.reset();
+    }
     this.mmu.reset();
     this.apu.reset();
     this.joypad.reset();
+    this.timer.reset();
+    this.serial.reset();
 
     // Set default state per https://gbdev.io/pandocs/Power_Up_Sequence.html
 
@@ -89,12 +113,167 @@ class DMG {
     this.cpu.L = HL & 0xff;
     this.cpu.SP = 0xfffe;
     this.cpu.PC = 0x100; // Skip checksum routines and begin at ROM address 0x100
+    this.timer.counter = 0xabcc; // DIV = 0xab after the boot ROM
 
   }
 
   loadRom(rom) {
     this.reset();
     this.mmu.loadRom(rom);
+    this.autosaveCountdown = 0;
+  }
+
+  // Serialize the state of every component
+  saveState() {
+    const state = new StateWriter();
+    state.string(StateWriter.MAGIC);
+    state.u16(StateWriter.STATE_VERSION);
+    state.string(this.mmu.title);
+    state.u8(this.mmu.checksum1);
+    state.bool(this.cgbMode);
+    state.f64(this.cycles);
+    state.f64(this.frames);
+    this.cpu.saveState(state);
+    this.timer.saveState(state);
+    this.serial.saveState(state);
+    this.mmu.saveState(state);
+    this.ppu.saveState(state);
+    this.apu.saveState(state);
+    this.joypad.saveState(state);
+    return state.data();
+  }
+
+  // Restore a state from saveState(), the same ROM must be loaded
+  loadState(data) {
+    const state = new StateReader(data);
+    if (state.string() !== StateWriter.MAGIC) {
+      throw new Error("Not a save state");
+    }
+    const version = state.u16();
+    if (version !== StateWriter.STATE_VERSION) {
+      throw new Error("Unsupported save state version: " + version);
+    }
+    const title = state.string();
+    const checksum = state.u8();
+    if (title !== this.mmu.title || checksum !== this.mmu.checksum1) {
+      throw new Error("Save state is for a different ROM: " + title);
+    }
+
+    // Components are restored one at a time, so a stream that turns out to be truncated or
+    // corrupt partway through is rolled back to the state before loading
+    const backup = this.saveState();
+    try {
+      this.loadComponents(state);
+    }
+    catch (e) {
+      this.loadState(backup);
+      throw e;
+    }
+  }
+
+  loadComponents(state) {
+    this.cgbMode = state.bool();
+    this.cycles = state.f64();
+    this.frames = state.f64();
+    this.cpu.loadState(state);
+    this.timer.loadState(state);
+    this.serial.loadState(state);
+    this.mmu.loadState(state);
+    this.ppu.loadState(state);
+    this.apu.loadState(state);
+    this.joypad.loadState(state);
+    state.finish();
+  }
+
+  // Export battery-backed RAM as .sav data
+  exportSave() {
+    return this.mmu.getSaveData();
+  }
+
+  // Import .sav data into battery-backed RAM
+  importSave(data) {
+    this.mmu.loadSaveData(data);
+  }
+
+  // Storage key for the loaded cartridge
+  getSaveKey() {
+    return this.mmu.title + '-' + hexify(this.mmu.checksum1);
+  }
+
+  // Read the battery save for the loaded cartridge from storage
+  loadSave() {
+    if (! this.storage || ! this.mmu.battery) {
+      return Promise.resolve(false);
+    }
+    return this.storage.load(this.getSaveKey()).then((data) => {
+      if (data) {
+        this.importSave(data);
+      }
+      return Boolean(data);
+    });
+  }
+
+  // Write the battery save for the loaded cartridge to storage
+  flushSave() {
+    if (! this.storage || ! this.mmu.battery) {
+      return Promise.resolve();
+    }
+    return this.storage.save(this.getSaveKey(), this.exportSave())
+      .catch((e) => console.error("Unable to save: " + e));
+  }
+
+  // Flush battery saves once cart RAM writes have settled
+  updateAutosave() {
+    if (this.mmu.xramDirty) {
+      this.mmu.xramDirty = false;
+      this.autosaveCountdown = DMG.AUTOSAVE_DELAY;
+    }
+    else if (this.autosaveCountdown > 0) {
+      this.autosaveCountdown--;
+      if (this.autosaveCountdown === 0) {
+        this.flushSave();
+      }
+    }
+  }
+
+  // Export the cartridge clock state (MBC3 and HuC3 only)
+  saveRTC() {
+    return this.mmu.rtc ? this.mmu.rtc.save() : null;
+  }
+
+  // Restore the cartridge clock state from saveRTC()
+  loadRTC(data) {
+    if (this.mmu.rtc) {
+      this.mmu.rtc.load(data);
+    }
+  }
+
+  // Write a battery save still waiting for cart RAM writes to settle, before the page
+  // is closed or another ROM is loaded
+  flushPendingSave() {
+    if (! this.mmu.xramDirty && this.autosaveCountdown === 0) {
+      return Promise.resolve();
+    }
+    this.mmu.xramDirty = false;
+    this.autosaveCountdown = 0;
+    return this.flushSave();
+  }
+
+  // CPU locked up on an illegal opcode at (pc)
+  cpuLocked(pc, opcode) {
+    if (this.onCPULocked) {
+      this.onCPULocked({ type: 'cpu-locked', pc, opcode });
+    }
+    else {
+      console.error('CPU locked up: illegal opcode ' + hexify(opcode) + ' at ' + hexify(pc));
+    }
+  }
+
+  // Rumble motor state changed
+  rumble(on) {
+    if (this.onRumble) {
+      this.onRumble(on, this.cpu.totalCycles);
+    }
   }
 
   cgbEnable() {
@@ -106,26 +285,33 @@ class DMG {
   start() {
     console.log('Started.');
     this.started = true;
-    // Start main emulation loop
-    this.update();
   }
 
+  // Advance timers, serial port, PPU, APU and cartridge hardware for (n) cycles
+  // Called by the CPU on every M-cycle of an instruction
+  tick(cycles) {
+    this.timer.update(cycles);
+    this.serial.update(cycles);
+    this.ppu.update(cycles);
+    this.apu.update(cycles);
+    this.mmu.update(cycles);
+  }
+
+  // Run emulation for one frame, the host is responsible for pacing calls
   // Thank you http://www.codeslinger.co.uk/pages/projects/gameboy/beginning.html
-  nextFrame() {
+  runFrame() {
     let total = 0;
     while (total < this.cyclesPerFrame) {
-      const cycles = this.cpu.update();
-      this.ppu.update(cycles);
-      this.apu.update(cycles);
-      total += cycles;
+      total += this.cpu.update();
     }
-    this.cycles += total;
-    requestAnimationFrame(() => this.nextFrame());
+    this.finishFrame(total);
   }
 
-  update() {
-    this.nextFrame();
+  // Frame bookkeeping after running (n) cycles, for hosts that step the CPU themselves
+  finishFrame(cycles) {
+    this.cycles += cycles;
     this.frames++;
+    this.updateAutosave();
   }
 
   keyPressed(key, state) {
@@ -133,50 +319,23 @@ class DMG {
     if (button && this.started) {
       this.joypad.buttonPressed(button, state);
     }
+    const tilt = DMG.TILT_CONTROLS[key.toLowerCase()];
+    if (tilt && this.started) {
+      this.tiltKeys[key.toLowerCase()] = state;
+      let x = 0;
+      let y = 0;
+      for (const [name, [dx, dy]] of Object.entries(DMG.TILT_CONTROLS)) {
+        if (this.tiltKeys[name]) {
+          x += dx;
+          y += dy;
+        }
+      }
+      this.setTilt(x, y);
+    }
   }
-}
-window.DMG = DMG;
-
-// TODO: Clean up this code
-
-window.createDMG = () => {
-
-  const dmg = new DMG();
-  const screenElem = document.getElementById('screen');
-
-  dmg.screen = new LCDScreen(screenElem);
-  dmg.joypad = new Joypad(dmg);
-  dmg.cpu = new CPU(dmg);
-  dmg.ppu = new PPU(dmg);
-  dmg.apu = new APU(dmg);
-  dmg.mmu = new MMU(dmg);
-  return dmg;
-};
-
-window.loadRomFromFile = (event, file) => {
-  const reader = new FileReader();
-  const dmg = window.dmg;
-  reader.readAsArrayBuffer(file);
-  console.log(file.name + ' is loading...');
-  reader.onload = function() {
-    dmg.loadRom(Array.from(new Uint8Array(reader.result)));
-    dmg.start();
-    event.target.blur(); // Remove focus after loading
-  };
-};
-
-window.setupInputHandlers = () => {
-  const dmg = window.dmg;
-  document.addEventListener('keydown', (e) => {
-    dmg.keyPressed(e.key, true);
-  });
-  document.addEventListener('keyup', (e) => {
-    dmg.keyPressed(e.key, false);
-  });
-};
-
-window.onload = () => {
-  window.dmg = window.createDMG();
-  window.setupInputHandlers();
-};
 
+  // Feed tilt input (-1.0 to 1.0 per axis) from keys, a mouse, a gamepad or a script
+  setTilt(x, y) {
+    this.joypad.setTilt(x, y);
+  }
+}
@@ -0,0 +1,211 @@
+// HuC3 real-time clock and tone generator
+//
+// The clock is controlled through commands written to A000 (mode 0x0b), executed
+// through the semaphore register (mode 0x0d) and their results read back (mode 0x0c).
+// Commands act on a 256 x 4-bit memory. Time is kept as minutes of the day
+// (12 bits) and a day counter (16 bits).
+//
+// Simplifications: commands complete as soon as they are executed, so the semaphore always
+// reads ready. The tone command only records the tone in tone/tonePlaying for the host,
+// no sound is generated and tonePlaying stays set since the length of the tones is unknown.
+class HuC3RTC {
+  // Commands (upper nibble)
+  static CMD_READ = 0x1;        // Read memory at address, increment address
+  static CMD_WRITE = 0x3;       // Write argument to memory at address, increment address
+  static CMD_ADDRESS_LO = 0x4;  // Set low nibble of address
+  static CMD_ADDRESS_HI = 0x5;  // Set high nibble of address
+  static CMD_EXTENDED = 0x6;    // Extended command in argument
+
+  // Extended commands (lower nibble)
+  static EXT_READ_TIME = 0x0;   // Copy current time to memory 0x00-0x06
+  static EXT_WRITE_TIME = 0x1;  // Set current time from memory 0x00-0x06
+  static EXT_STATUS = 0x2;      // Status check, always ready
+  static EXT_TONE = 0xe;        // Play tone selected by memory 0x27
+
+  static MINUTES_PER_DAY = 1440;
+  static TONE_ADDRESS = 0x27;
+
+  // Size of the clock data in battery saves
+  static SAVE_SIZE = 12;
+
+  constructor(syncHostTime) {
+    // Sync the clock to the host's time when loading saved clock data
+    this.syncHostTime = syncHostTime;
+    this.memory = new Uint8Array(256);
+    this.cycles = 0;
+    this.minutes = 0;
+    this.days = 0;
+    this.address = 0;
+    this.command = 0;
+    this.result = 0;
+    this.tonePlaying = false; // Set once a tone was requested, never cleared
+    this.tone = 0; // Last tone requested
+  }
+
+  saveState(state) {
+    state.bytes(this.memory);
+    state.f64(this.cycles);
+    state.i32(this.minutes);
+    state.i32(this.days);
+    state.u8(this.address);
+    state.u8(this.command);
+    state.u8(this.result);
+    state.bool(this.tonePlaying);
+    state.u8(this.tone);
+  }
+
+  loadState(state) {
+    state.into(this.memory);
+    this.cycles = state.f64();
+    this.minutes = state.i32();
+    this.days = state.i32();
+    this.address = state.u8();
+    this.command = state.u8();
+    this.result = state.u8();
+    this.tonePlaying = state.bool();
+    this.tone = state.u8();
+  }
+
+  // Advance the clock by (n) CPU cycles
+  update(cycles) {
+    this.cycles += cycles;
+    while (this.cycles >= CPU.CLOCK_SPEED * 60) {
+      this.cycles -= CPU.CLOCK_SPEED * 60;
+      this.advance(1);
+    }
+  }
+
+  // Advance the clock by a number of minutes
+  advance(minutes) {
+    const total = this.minutes + minutes;
+    this.days = (this.days + Math.floor(total / HuC3RTC.MINUTES_PER_DAY)) & 0xffff;
+    this.minutes = total % HuC3RTC.MINUTES_PER_DAY;
+  }
+
+  // Store a command written in mode 0x0b
+  writeCommand(value) {
+    this.command = value & 0x7f;
+  }
+
+  // Mode 0x0c: command and result
+  readResult() {
+    return 0x80 | (this.command & 0x70) | this.result;
+  }
+
+  // Mode 0x0d: bit 0 set = ready for the next command
+  // Commands complete immediately, so the clock is always ready
+  readSemaphore() {
+    return 0xff;
+  }
+
+  // Mode 0x0d: clearing bit 0 executes the pending command
+  writeSemaphore(value) {
+    if ((value & 1) === 0) {
+      this.execute(this.command >> 4, this.command & 0xf);
+    }
+  }
+
+  execute(command, arg) {
+    switch (command) {
+      case HuC3RTC.CMD_READ:
+        this.result = this.memory[this.address];
+        this.address = (this.address + 1) & 0xff;
+        break;
+
+      case HuC3RTC.CMD_WRITE:
+        this.memory[this.address] = arg;
+        this.address = (this.address + 1) & 0xff;
+        break;
+
+      case HuC3RTC.CMD_ADDRESS_LO:
+        this.address = (this.address & 0xf0) | arg;
+        break;
+
+      case HuC3RTC.CMD_ADDRESS_HI:
+        this.address = (this.address & 0x0f) | (arg << 4);
+        break;
+
+      case HuC3RTC.CMD_EXTENDED:
+        this.executeExtended(arg);
+        break;
+
+      // Unknown commands are ignored
+      default:
+    }
+  }
+
+  executeExtended(arg) {
+    switch (arg) {
+      case HuC3RTC.EXT_READ_TIME:
+        this.writeNibbles(0x00, this.minutes, 3);
+        this.writeNibbles(0x03, this.days, 4);
+        break;
+
+      case HuC3RTC.EXT_WRITE_TIME:
+        this.minutes = this.readNibbles(0x00, 3) % HuC3RTC.MINUTES_PER_DAY;
+        this.days = this.readNibbles(0x03, 4);
+        this.cycles = 0;
+        break;
+
+      case HuC3RTC.EXT_STATUS:
+        this.result = 1;
+        break;
+
+      case HuC3RTC.EXT_TONE:
+        this.tonePlaying = true;
+        this.tone = this.memory[HuC3RTC.TONE_ADDRESS];
+        break;
+
+      // Unknown extended commands are ignored
+      default:
+    }
+  }
+
+  // Write (count) nibbles of value to memory, least significant first
+  writeNibbles(address, value, count) {
+    for (let n = 0; n < count; n++) {
+      this.memory[address + n] = (value >> (n * 4)) & 0xf;
+    }
+  }
+
+  readNibbles(address, count) {
+    let value = 0;
+    for (let n = 0; n < count; n++) {
+      value |= (this.memory[address + n] & 0xf) << (n * 4);
+    }
+    return value;
+  }
+
+  // Export clock state: minutes (16-bit LE), days (16-bit LE), 64-bit UNIX timestamp
+  save() {
+    const data = new Uint8Array(HuC3RTC.SAVE_SIZE);
+    const view = new DataView(data.buffer);
+    const timestamp = Math.floor(Date.now() / 1000);
+    view.setUint16(0, this.minutes, true);
+    view.setUint16(2, this.days, true);
+    view.setUint32(4, timestamp % 0x100000000, true);
+    view.setUint32(8, Math.floor(timestamp / 0x100000000), true);
+    return data;
+  }
+
+  // Restore clock state exported by save()
+  // If syncHostTime is set, the clock is advanced by the time passed since it was saved
+  load(data) {
+    if (data.length < HuC3RTC.SAVE_SIZE) {
+      console.error("Invalid RTC data");
+      return;
+    }
+    const view = new DataView(Uint8Array.from(data).buffer);
+    this.minutes = view.getUint16(0, true) % HuC3RTC.MINUTES_PER_DAY;
+    this.days = view.getUint16(2, true);
+    this.cycles = 0;
+
+    if (this.syncHostTime) {
+      const timestamp = view.getUint32(4, true) + view.getUint32(8, true) * 0x100000000;
+      const elapsed = Math.floor((Date.now() / 1000 - timestamp) / 60);
+      if (elapsed > 0) {
+        this.advance(elapsed);
+      }
+    }
+  }
+}
@@ -21,28 +21,54 @@ class Joypad {
     this.dmg = dmg;
     this.buttons = [0xf, 0xf];
     this.select = 0; // Used to switch between dpad/action buttons
+
+    // Tilt input for carts with an accelerometer, -1.0 to 1.0 per axis (1g)
+    this.tiltX = 0;
+    this.tiltY = 0;
   }
 
   reset() {
     this.mmu = this.dmg.mmu;
   }
 
+  saveState(state) {
+    state.u8(this.buttons[0]);
+    state.u8(this.buttons[1]);
+    state.u8(this.select);
+    state.f64(this.tiltX);
+    state.f64(this.tiltY);
+  }
+
+  loadState(state) {
+    this.buttons = [state.u8(), state.u8()];
+    this.select = state.u8();
+    this.tiltX = state.f64();
+    this.tiltY = state.f64();
+  }
+
   // Register a button event (0 = pressed)
   buttonPressed(button, state) {
     const [sel, bit] = Joypad.JOYP_BUTTONS[button];
     this.buttons[sel] = state ? (this.buttons[sel] & ~bit) : (this.buttons[sel] | bit);
     //console.info("joypad event: name=" + button + " select=" + sel + " state=" + state + " buttons=" + this.buttons);
 
-    // Request joypad interrupt on button press (state = true)
+    // Request joypad interrupt on button press (state = true), this also ends STOP mode
     const ifreg = this.mmu.readByte(CPU.IF_REG);
     if (state) {
       this.mmu.writeByte(CPU.IF_REG, ifreg | CPU.IF_JOYPAD);
+      this.dmg.cpu.stopMode = false;
     }
     else {
       this.mmu.writeByte(CPU.IF_REG, ifreg & ~CPU.IF_JOYPAD);
     }
   }
 
+  // Set current tilt, positive X tilts right and positive Y tilts down
+  setTilt(x, y) {
+    this.tiltX = Math.max(-1, Math.min(1, x));
+    this.tiltY = Math.max(-1, Math.min(1, y));
+  }
+
   // Switch between reading directional/action buttons
   // or reset both by writing JOYP_15 | JOYP_P14
   write(value) {
@@ -65,4 +91,3 @@ class Joypad {
     return this.buttons[this.select];
   }
 }
-window.Joypad = Joypad;
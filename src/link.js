@@ -0,0 +1,298 @@
+// Two-player link cable
+//
+// LinkCable pairs the serial ports of two emulators in the same process and steps them in
+// lockstep, so a byte clocked out by one Game Boy reaches the other at the same emulated time.
+//
+// RemoteLink runs the link over a transport when the other emulator lives in a worker or
+// another browser. Transports implement send(message) and call onMessage(message) for every
+// message received. The protocol is:
+//   {type: 'hello', version, seed, reply}   - clock negotiation, the highest seed becomes master
+//   {type: 'frame', frame}                  - frames run so far, used to pace the slave
+//   {type: 'transfer', value, frame, cycle} - Game Boy clocked out (value) (cycle) cycles into (frame)
+//   {type: 'reply', value}                  - byte shifted out in answer to a transfer
+// The master runs at the host's pace. The slave stays a few frames behind the master, so
+// transfers arrive before the slave reaches the point they were sent at.
+//
+// The side that clocks a transfer stops until the reply arrives, it can't know the other
+// side's byte before that side reached the same point. Transfers clocked by the master are
+// exchanged at the right emulated time: the slave catches up to them without waiting for
+// its buffer. Transfers clocked by the slave reach the master late, the master has already
+// run ahead and answers with the byte it waits to send by then. Bytes exchanged are the
+// same, only their timing on the master differs from real hardware. Each transfer stops
+// the clocking side for at least a round trip over the transport, so links with high
+// latency slow down games that exchange a lot of data.
+class LinkCable {
+  constructor(dmg1, dmg2) {
+    this.dmgs = [dmg1, dmg2];
+    this.pending = null; // Transfer waiting for the clocking side to shift out all 8 bits
+    dmg1.serial.connect(new LinkCablePort(this, 0));
+    dmg2.serial.connect(new LinkCablePort(this, 1));
+  }
+
+  disconnect() {
+    for (const dmg of this.dmgs) {
+      dmg.serial.connect(null);
+    }
+  }
+
+  // Side (from) clocked out (value), the other side's byte is shifted in. The other side
+  // receives (value) once all 8 bits have been clocked
+  // Like on hardware, the clocking side doesn't wait for the other side: when that side hasn't
+  // requested a transfer with the external clock, it misses the byte and 0xff is shifted in
+  transfer(from, value) {
+    const serial = this.dmgs[1 - from].serial;
+    if (! serial.isTransferring() || serial.isInternalClock()) {
+      return 0xff;
+    }
+    const bitCycles = this.dmgs[from].serial.getBitCycles();
+    this.pending = { from, value, cycles: bitCycles * 8 };
+    return serial.sb;
+  }
+
+  // Side (index) ran (n) cycles
+  advance(index, cycles) {
+    if (this.pending && this.pending.from === index) {
+      this.pending.cycles -= cycles;
+      if (this.pending.cycles <= 0) {
+        const { from, value } = this.pending;
+        this.pending = null;
+        this.dmgs[1 - from].serial.receive(value);
+      }
+    }
+  }
+
+  // Run both emulators for one frame, the side behind always runs the next instruction
+  runFrame() {
+    const [dmg1, dmg2] = this.dmgs;
+    let total1 = 0;
+    let total2 = 0;
+    while (total1 < dmg1.cyclesPerFrame || total2 < dmg2.cyclesPerFrame) {
+      if (total1 <= total2) {
+        const cycles = dmg1.cpu.update();
+        total1 += cycles;
+        this.advance(0, cycles);
+      }
+      else {
+        const cycles = dmg2.cpu.update();
+        total2 += cycles;
+        this.advance(1, cycles);
+      }
+    }
+    dmg1.finishFrame(total1);
+    dmg2.finishFrame(total2);
+  }
+}
+
+// Serial peer for one end of a LinkCable
+class LinkCablePort {
+  constructor(cable, index) {
+    this.cable = cable;
+    this.index = index;
+  }
+
+  transfer(value) {
+    return this.cable.transfer(this.index, value);
+  }
+}
+
+// Serial peer linking to an emulator on the other side of a transport
+class RemoteLink {
+  static PROTOCOL_VERSION = 2;
+
+  // Most frames the slave runs in one update() to catch up with the master
+  static MAX_CATCH_UP = 4;
+
+  constructor(dmg, transport, options = {}) {
+    this.dmg = dmg;
+    this.transport = transport;
+    this.bufferFrames = options.bufferFrames || 2; // Frames the slave runs behind the master
+    this.role = null; // 'master' or 'slave' once negotiated
+    this.seed = Math.random();
+    this.remoteFrame = 0;
+    this.inbox = []; // Transfers received, delivered when this side reaches the point they were sent at
+    this.waiting = false; // This side clocked a transfer and waits for the reply
+    this.frameStart = 0; // CPU cycle count at the start of the current frame
+    this.frameCycles = 0; // Cycles run in the current frame
+    this.onConnect = null; // Called with the role once negotiated
+    transport.onMessage = (message) => this.handleMessage(message);
+    dmg.serial.connect(this);
+    this.sendHello(false);
+  }
+
+  sendHello(reply) {
+    this.transport.send({ type: 'hello', version: RemoteLink.PROTOCOL_VERSION, seed: this.seed, reply });
+  }
+
+  disconnect() {
+    this.transport.onMessage = null;
+    this.dmg.serial.connect(null);
+    this.role = null;
+    this.waiting = false;
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'hello': {
+        if (message.version !== RemoteLink.PROTOCOL_VERSION) {
+          console.error("Unsupported link protocol version: " + message.version);
+          break;
+        }
+        // Equal seeds can't be ordered, both sides pick again
+        if (message.seed === this.seed) {
+          this.seed = Math.random();
+          this.sendHello(false);
+          break;
+        }
+        // Answer hellos sent before this side was listening
+        if (! message.reply) {
+          this.sendHello(true);
+        }
+        const role = this.seed > message.seed ? 'master' : 'slave';
+        if (role !== this.role) {
+          this.role = role;
+          this.remoteFrame = 0;
+          if (this.onConnect) {
+            this.onConnect(this.role);
+          }
+        }
+        break;
+      }
+      case 'frame':
+        this.remoteFrame = message.frame;
+        break;
+      case 'transfer':
+        this.inbox.push(message);
+        break;
+      case 'reply':
+        // The first bit is shifted after the transfer started, so the byte can still be swapped
+        if (this.waiting) {
+          this.waiting = false;
+          this.dmg.serial.incoming = message.value & 0xff;
+        }
+        break;
+      default:
+    }
+  }
+
+  // Serial peer: this Game Boy clocked out (value)
+  // The byte shifted in comes with the reply, emulation stops until then
+  transfer(value) {
+    if (this.role === null) {
+      return 0xff;
+    }
+    const cycle = this.dmg.cpu.totalCycles - this.frameStart;
+    this.transport.send({ type: 'transfer', value, frame: this.dmg.frames, cycle });
+    this.waiting = true;
+    return 0xff;
+  }
+
+  // Hand transfers sent up to (cycle) cycles into the current frame to the serial port
+  deliver(cycle) {
+    while (this.inbox.length) {
+      const { frame, value } = this.inbox[0];
+      if (frame > this.dmg.frames || (frame === this.dmg.frames && this.inbox[0].cycle > cycle)) {
+        break;
+      }
+      this.inbox.shift();
+      const out = this.dmg.serial.receive(value);
+      this.transport.send({ type: 'reply', value: out });
+    }
+  }
+
+  // Run the rest of the current frame, returns false when it stopped to wait for a reply
+  // Transfers from the other side are still answered while waiting, so two Game Boys
+  // clocking at the same time don't wait for each other forever
+  runFrame() {
+    if (this.frameCycles === 0) {
+      this.frameStart = this.dmg.cpu.totalCycles;
+    }
+    while (this.frameCycles < this.dmg.cyclesPerFrame) {
+      this.deliver(this.frameCycles);
+      if (this.waiting) {
+        return false;
+      }
+      this.frameCycles += this.dmg.cpu.update();
+    }
+    this.dmg.finishFrame(this.frameCycles);
+    this.frameCycles = 0;
+    this.transport.send({ type: 'frame', frame: this.dmg.frames });
+    return true;
+  }
+
+  // Run the frames due for this host frame, returns the number of frames finished
+  // The slave waits when it would get closer than bufferFrames to the master and runs
+  // extra frames when it falls behind or a transfer from the master waits to be delivered
+  update() {
+    if (this.role !== 'slave') {
+      return this.runFrame() ? 1 : 0;
+    }
+    let frames = 0;
+    while (frames < RemoteLink.MAX_CATCH_UP &&
+           (this.inbox.length || this.dmg.frames + this.bufferFrames <= this.remoteFrame)) {
+      if (! this.runFrame()) {
+        break;
+      }
+      frames++;
+    }
+    return frames;
+  }
+}
+
+// Transport over a MessagePort, one end of a MessageChannel between workers
+class MessagePortTransport {
+  constructor(port) {
+    this.port = port;
+    this.onMessage = null;
+    port.onmessage = (event) => {
+      if (this.onMessage) {
+        this.onMessage(event.data);
+      }
+    };
+  }
+
+  send(message) {
+    this.port.postMessage(message);
+  }
+
+  close() {
+    this.port.onmessage = null;
+    this.port.close();
+  }
+}
+
+// Transport over a WebSocket to a relay that forwards each message to the other player
+// Messages sent before the socket opens are queued
+class WebSocketTransport {
+  static OPEN = 1; // WebSocket.OPEN
+
+  constructor(socket) {
+    this.socket = socket;
+    this.onMessage = null;
+    this.queue = [];
+    socket.onopen = () => {
+      for (const data of this.queue) {
+        socket.send(data);
+      }
+      this.queue = [];
+    };
+    socket.onmessage = (event) => {
+      if (this.onMessage) {
+        this.onMessage(JSON.parse(event.data));
+      }
+    };
+  }
+
+  send(message) {
+    const data = JSON.stringify(message);
+    if (this.socket.readyState === WebSocketTransport.OPEN) {
+      this.socket.send(data);
+    }
+    else {
+      this.queue.push(data);
+    }
+  }
+
+  close() {
+    this.socket.close();
+  }
+}
@@ -0,0 +1,261 @@
+// MBC7 cartridge hardware: 93LC56 serial EEPROM and 2-axis accelerometer
+
+// 93LC56 EEPROM in 16-bit mode (128 words)
+// Commands are a start bit, 2-bit opcode and 8-bit address clocked in on DI (MSB first)
+class EEPROM {
+  static STATE_IDLE = 0;
+  static STATE_COMMAND = 1;
+  static STATE_READ = 2;
+  static STATE_WRITE = 3;
+  static STATE_WRITE_ALL = 4;
+
+  static NUM_WORDS = 128;
+
+  constructor(data) {
+    // Backing store: 128 16-bit words stored little-endian
+    this.data = data;
+    this.cs = false;
+    this.clk = false;
+    this.di = 0;
+    this.do = 1;
+    this.state = EEPROM.STATE_IDLE;
+    this.command = 0;
+    this.bits = 0;
+    this.address = 0;
+    this.buffer = 0;
+    this.writeEnabled = false;
+    this.onWrite = null; // Called after a word is written
+  }
+
+  // EEPROM contents are saved with ext. RAM
+  saveState(state) {
+    state.bool(this.cs);
+    state.bool(this.clk);
+    state.u8(this.di);
+    state.u8(this.do);
+    state.u8(this.state);
+    state.u16(this.command);
+    state.u8(this.bits);
+    state.u8(this.address);
+    state.u16(this.buffer);
+    state.bool(this.writeEnabled);
+  }
+
+  loadState(state) {
+    this.cs = state.bool();
+    this.clk = state.bool();
+    this.di = state.u8();
+    this.do = state.u8();
+    this.state = state.u8();
+    this.command = state.u16();
+    this.bits = state.u8();
+    this.address = state.u8();
+    this.buffer = state.u16();
+    this.writeEnabled = state.bool();
+  }
+
+  readWord(address) {
+    const offset = (address % EEPROM.NUM_WORDS) * 2;
+    return this.data[offset] | (this.data[offset + 1] << 8);
+  }
+
+  writeWord(address, value) {
+    if (this.readWord(address) === value) {
+      return;
+    }
+    const offset = (address % EEPROM.NUM_WORDS) * 2;
+    this.data[offset] = value & 0xff;
+    this.data[offset + 1] = value >> 8;
+    if (this.onWrite) {
+      this.onWrite();
+    }
+  }
+
+  // Pin states: bit 7 = CS, bit 6 = CLK, bit 1 = DI, bit 0 = DO
+  read() {
+    return (this.cs << 7) | (this.clk << 6) | (this.di << 1) | this.do;
+  }
+
+  write(value) {
+    const cs = (value & 0x80) !== 0;
+    const clk = (value & 0x40) !== 0;
+    this.di = (value & 0x02) ? 1 : 0;
+
+    // Deselecting the chip aborts the current command
+    if (! cs) {
+      if (this.state !== EEPROM.STATE_READ) {
+        this.do = 1;
+      }
+      this.state = EEPROM.STATE_IDLE;
+      this.cs = false;
+      this.clk = clk;
+      return;
+    }
+    this.cs = true;
+
+    // Inputs are sampled on the rising edge of CLK
+    if (clk && ! this.clk) {
+      this.clock();
+    }
+    this.clk = clk;
+  }
+
+  clock() {
+    switch (this.state) {
+      case EEPROM.STATE_IDLE:
+        // Wait for start bit
+        if (this.di) {
+          this.state = EEPROM.STATE_COMMAND;
+          this.command = 0;
+          this.bits = 0;
+        }
+        break;
+
+      case EEPROM.STATE_COMMAND:
+        this.command = (this.command << 1) | this.di;
+        this.bits++;
+        if (this.bits === 10) {
+          this.execute(this.command >> 8, this.command & 0xff);
+        }
+        break;
+
+      case EEPROM.STATE_READ:
+        // Shift out data MSB first, continue with the next word when done
+        this.do = (this.buffer >> 15) & 1;
+        this.buffer = (this.buffer << 1) & 0xffff;
+        this.bits--;
+        if (this.bits === 0) {
+          this.address = (this.address + 1) % EEPROM.NUM_WORDS;
+          this.buffer = this.readWord(this.address);
+          this.bits = 16;
+        }
+        break;
+
+      case EEPROM.STATE_WRITE:
+      case EEPROM.STATE_WRITE_ALL:
+        this.buffer = ((this.buffer << 1) | this.di) & 0xffff;
+        this.bits++;
+        if (this.bits === 16) {
+          if (this.writeEnabled) {
+            if (this.state === EEPROM.STATE_WRITE) {
+              this.writeWord(this.address, this.buffer);
+            }
+            else {
+              for (let n = 0; n < EEPROM.NUM_WORDS; n++) {
+                this.writeWord(n, this.buffer);
+              }
+            }
+          }
+          this.state = EEPROM.STATE_IDLE;
+          this.do = 1; // ready
+        }
+        break;
+
+      default:
+    }
+  }
+
+  execute(opcode, address) {
+    this.address = address & 0x7f;
+    this.state = EEPROM.STATE_IDLE;
+
+    switch (opcode) {
+      // READ: output a dummy 0 bit followed by the word at address
+      case 0b10:
+        this.state = EEPROM.STATE_READ;
+        this.buffer = this.readWord(this.address);
+        this.bits = 16;
+        this.do = 0;
+        break;
+
+      // WRITE: 16 bits of data follow
+      case 0b01:
+        this.state = EEPROM.STATE_WRITE;
+        this.buffer = 0;
+        this.bits = 0;
+        break;
+
+      // ERASE: set word at address to 0xffff
+      case 0b11:
+        if (this.writeEnabled) {
+          this.writeWord(this.address, 0xffff);
+        }
+        this.do = 1;
+        break;
+
+      // Extended commands use the upper 2 bits of the address
+      case 0b00:
+        switch (address >> 6) {
+          // EWDS: disable writes
+          case 0b00:
+            this.writeEnabled = false;
+            break;
+
+          // WRAL: 16 bits of data follow, written to every word
+          case 0b01:
+            this.state = EEPROM.STATE_WRITE_ALL;
+            this.buffer = 0;
+            this.bits = 0;
+            break;
+
+          // ERAL: set all words to 0xffff
+          case 0b10:
+            if (this.writeEnabled) {
+              for (let n = 0; n < EEPROM.NUM_WORDS; n++) {
+                this.writeWord(n, 0xffff);
+              }
+            }
+            this.do = 1;
+            break;
+
+          // EWEN: enable writes
+          case 0b11:
+            this.writeEnabled = true;
+            break;
+        }
+        break;
+    }
+  }
+}
+
+// Accelerometer latch registers
+// Each axis reads 0x81d0 when level and moves about 0x70 per 1g of tilt
+class Accelerometer {
+  static CENTER = 0x81d0;
+  static GRAVITY = 0x70;
+
+  constructor() {
+    this.x = 0x8000;
+    this.y = 0x8000;
+    this.erased = false;
+  }
+
+  saveState(state) {
+    state.u16(this.x);
+    state.u16(this.y);
+    state.bool(this.erased);
+  }
+
+  loadState(state) {
+    this.x = state.u16();
+    this.y = state.u16();
+    this.erased = state.bool();
+  }
+
+  // Writing 0x55 to Ax0x erases the latched values
+  erase() {
+    this.x = 0x8000;
+    this.y = 0x8000;
+    this.erased = true;
+  }
+
+  // Writing 0xaa to Ax1x latches the current tilt (-1.0 to 1.0 per axis) after an erase
+  latch(tiltX, tiltY) {
+    if (! this.erased) {
+      return;
+    }
+    this.x = (Accelerometer.CENTER + Math.round(tiltX * Accelerometer.GRAVITY)) & 0xffff;
+    this.y = (Accelerometer.CENTER + Math.round(tiltY * Accelerometer.GRAVITY)) & 0xffff;
+    this.erased = false;
+  }
+}
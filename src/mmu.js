@@ -53,7 +53,16 @@ class MMU {
 
   static MBC0 = 0;
   static MBC1 = 1;
+  static MBC2 = 2;
+  static MBC3 = 3;
   static MBC5 = 5;
+  static MBC7 = 7;
+  static CAMERA = 0xfc;
+  static HUC1 = 0xff;
+  static HUC3 = 0xfe;
+
+  // Cartridge types with battery-backed RAM
+  static BATTERY_TYPES = [0x03, 0x06, 0x09, 0x0d, 0x0f, 0x10, 0x13, 0x1b, 0x1e, 0x22, 0xfc, 0xfe, 0xff];
 
   constructor(dmg) {
     this.dmg = dmg;
@@ -68,21 +77,40 @@ class MMU {
     this.io = null;
     this.ie = null;
     this.mbcType = null;
-    this.ramOffset1 = null;
-    this.ramOffset2 = null;
+    this.romOffset0 = null;
+    this.romOffset1 = null;
     this.wramOffset = null;
     this.xramOffset = 0;
     this.xramEnabled = false;
-    this.bankMode = null;
+    this.romBank1 = 0;
+    this.romBank2 = 0;
+    this.bankMode = 0;
+    this.mbc1Multicart = false;
     this.bgPalette = null;
     this.objPalette = null;
     this.romSize = 0;
     this.ramSize = 0;
+    this.rtc = null;
+    this.rtcRegister = null;
+    this.rumble = false;
+    this.rumbleOn = false;
+    this.eeprom = null;
+    this.accelerometer = null;
+    this.xramEnabled2 = false;
+    this.hucMode = 0;
+    this.irLED = false;
+    this.camera = null;
+    this.cameraRegisters = false;
+    this.battery = false;
+    this.xramDirty = false;
   }
 
   reset() {
     this.apu = this.dmg.apu;
+    this.ppu = this.dmg.ppu;
     this.joypad = this.dmg.joypad;
+    this.timer = this.dmg.timer;
+    this.serial = this.dmg.serial;
     this.vram0 = new Uint8Array(8 * 1024);
     this.vram1 = new Uint8Array(8 * 1024);
     this.vram = this.vram0;
@@ -94,15 +122,101 @@ class MMU {
     this.io = new Uint8Array(128);
     this.ie = 0;
     this.mbcType = 0;
+    this.romOffset0 = 0;
     this.romOffset1 = 0;
-    this.romOffset2 = 0;
     this.wramOffset = 0;
     this.xramOffset = 0;
     this.xramEnabled = false;
+    this.romBank1 = 0;
+    this.romBank2 = 0;
+    this.bankMode = 0;
+    this.mbc1Multicart = false;
+    this.rtc = null;
+    this.rtcRegister = null;
+    this.rumble = false;
+    this.rumbleOn = false;
+    this.eeprom = null;
+    this.accelerometer = null;
+    this.xramEnabled2 = false;
+    this.hucMode = 0;
+    this.irLED = false;
+    this.camera = null;
+    this.cameraRegisters = false;
+    this.battery = false;
+    this.xramDirty = false;
     this.bgPalette = new Uint8Array(64);
     this.objPalette = new Uint8Array(64);
   }
 
+  saveState(state) {
+    state.bytes(this.vram0);
+    state.bytes(this.vram1);
+    state.bool(this.vram === this.vram1);
+    state.bytes(this.xram);
+    state.bytes(this.wram);
+    state.bytes(this.hram);
+    state.bytes(this.oam);
+    state.bytes(this.io);
+    state.u8(this.ie);
+    state.bytes(this.bgPalette);
+    state.bytes(this.objPalette);
+    state.i32(this.wramOffset);
+    state.i32(this.romOffset0);
+    state.i32(this.romOffset1);
+    state.i32(this.xramOffset);
+    state.bool(this.xramEnabled);
+    state.bool(this.xramEnabled2);
+    state.u8(this.romBank1);
+    state.u8(this.romBank2);
+    state.u8(this.bankMode);
+    state.u8(this.rtcRegister === null ? 0 : this.rtcRegister);
+    state.bool(this.rumbleOn);
+    state.u8(this.hucMode);
+    state.bool(this.irLED);
+    state.bool(this.cameraRegisters);
+
+    // Cartridge hardware
+    for (const hw of [this.rtc, this.eeprom, this.accelerometer, this.camera]) {
+      if (hw) {
+        hw.saveState(state);
+      }
+    }
+  }
+
+  loadState(state) {
+    state.into(this.vram0);
+    state.into(this.vram1);
+    this.vram = state.bool() ? this.vram1 : this.vram0;
+    state.into(this.xram);
+    state.into(this.wram);
+    state.into(this.hram);
+    state.into(this.oam);
+    state.into(this.io);
+    this.ie = state.u8();
+    state.into(this.bgPalette);
+    state.into(this.objPalette);
+    this.wramOffset = state.i32();
+    this.romOffset0 = state.i32();
+    this.romOffset1 = state.i32();
+    this.xramOffset = state.i32();
+    this.xramEnabled = state.bool();
+    this.xramEnabled2 = state.bool();
+    this.romBank1 = state.u8();
+    this.romBank2 = state.u8();
+    this.bankMode = state.u8();
+    this.rtcRegister = state.u8() || null;
+    this.rumbleOn = state.bool();
+    this.hucMode = state.u8();
+    this.irLED = state.bool();
+    this.cameraRegisters = state.bool();
+
+    for (const hw of [this.rtc, this.eeprom, this.accelerometer, this.camera]) {
+      if (hw) {
+        hw.loadState(state);
+      }
+    }
+  }
+
   loadRom(rom) {
     // Cartridge header info
     this.title = getText(rom.slice(0x0134, 0x0144));
@@ -160,14 +274,56 @@ class MMU {
       case 0x02:
       case 0x03:
         this.mbcType = MMU.MBC1;
+        this.mbc1Multicart = this.isMBC1Multicart(rom);
+        break;
+      case 0x05:
+      case 0x06:
+        this.mbcType = MMU.MBC2;
+        break;
+      case 0x0f:
+      case 0x10:
+        // MBC3 with real-time clock
+        this.rtc = new RTC(this.dmg.rtcSyncHostTime);
+        this.mbcType = MMU.MBC3;
+        break;
+      case 0x11:
+      case 0x12:
+      case 0x13:
+        this.mbcType = MMU.MBC3;
         break;
       case 0x19:
       case 0x1a:
       case 0x1b:
+        this.mbcType = MMU.MBC5;
+        this.romBank1 = 1; // Bank 1 is mapped at 4000-7FFF after reset
+        break;
       case 0x1c:
       case 0x1d:
       case 0x1e:
+        // MBC5 with rumble motor
         this.mbcType = MMU.MBC5;
+        this.romBank1 = 1;
+        this.rumble = true;
+        break;
+      case 0x22:
+        // MBC7: EEPROM is stored at the start of ext. RAM
+        this.mbcType = MMU.MBC7;
+        this.eeprom = new EEPROM(this.xram.subarray(0, EEPROM.NUM_WORDS * 2));
+        this.eeprom.onWrite = () => this.setSaveDirty();
+        this.accelerometer = new Accelerometer();
+        break;
+      case 0xfc:
+        // Pocket Camera
+        this.mbcType = MMU.CAMERA;
+        this.camera = new Camera(this);
+        break;
+      case 0xfe:
+        // HuC3 with real-time clock
+        this.mbcType = MMU.HUC3;
+        this.rtc = new HuC3RTC(this.dmg.rtcSyncHostTime);
+        break;
+      case 0xff:
+        this.mbcType = MMU.HUC1;
         break;
       default:
         // HACK: Assume MBC1 for now
@@ -175,23 +331,21 @@ class MMU {
         this.mbcType = MMU.MBC1;
         break;
     }
+    this.battery = MMU.BATTERY_TYPES.includes(rom[0x0147]);
     this.rom = new Uint8Array(rom);
   }
 
   readByte(loc) {
-    // ROM bank 00
+    // ROM bank 00 (MBC1 mode 1 can map banks 0x20/0x40/0x60 here)
     if (loc >= 0x0000 && loc <= 0x3fff) {
-      return this.rom[loc];
+      return this.rom[this.romOffset0 + loc];
     }
 
     // ROM bank 00-NN
     else if (loc >= 0x4000 && loc <= 0x7fff) {
       // Memory bank switching is a work in progress!
-      if (this.mbcType == MMU.MBC1) {
-        return this.rom[this.romOffset1 + this.romOffset2 + loc];
-      }
-      else if (this.mbcType == MMU.MBC5) {
-        return this.rom[this.romOffset1 + this.romOffset2 + loc];
+      if (this.mbcType != MMU.MBC0) {
+        return this.rom[this.romOffset1 + loc];
       }
       else {
         return this.rom[loc];
@@ -205,9 +359,30 @@ class MMU {
 
     // Ext. RAM
     else if (loc >= 0xa000 && loc <= 0xbfff) {
+      // MBC3: RTC register mapped instead of RAM bank
+      if (this.mbcType === MMU.MBC3 && this.rtcRegister !== null) {
+        return this.xramEnabled ? this.rtc.readByte(this.rtcRegister) : 0xff;
+      }
+      // MBC2: 512 x 4-bit built-in RAM, echoed through 0xa000-0xbfff. Upper 4 bits read as 1s
+      if (this.mbcType === MMU.MBC2) {
+        return this.xramEnabled ? this.xram[(loc - 0xa000) & 0x1ff] | 0xf0 : 0xff;
+      }
+      // MBC7: Accelerometer and EEPROM registers
+      if (this.mbcType === MMU.MBC7) {
+        return this.MBC7Read(loc);
+      }
+      // HuC1/HuC3: RAM, IR or RTC depending on mode
+      if (this.mbcType === MMU.HUC1 || this.mbcType === MMU.HUC3) {
+        return this.HuCRead(loc);
+      }
+      // Pocket Camera: Camera registers mapped instead of RAM bank
+      if (this.mbcType === MMU.CAMERA && this.cameraRegisters) {
+        return this.camera.readByte(loc);
+      }
       if (this.xramEnabled) {
         return this.xram[(loc - 0xa000) + this.xramOffset];
       }
+      return 0xff;
     }
 
     // IO registers
@@ -215,11 +390,29 @@ class MMU {
       return this.joypad.read();
     }
 
+    else if (loc >= Timer.DIV && loc <= Timer.TAC) {
+      return this.timer.readByte(loc);
+    }
+
+    else if (loc == Serial.SB || loc == Serial.SC) {
+      return this.serial.readByte(loc);
+    }
+
+    // Unused upper bits of IF read as 1
+    else if (loc == CPU.IF_REG) {
+      return this.io[CPU.IF_REG - 0xff00] | 0xe0;
+    }
+
     // Return currently loaded vram number at bit 0 w/all other bits set to 1
     else if (this.dmg.cgbMode && loc == MMU.VBK) {
       return 0xfe | (this.vram == this.vram1);
     }
 
+    // Current speed at bit 7 and the armed switch at bit 0, reads 0xff on DMG
+    else if (loc == MMU.KEY1) {
+      return this.dmg.cgbMode ? 0x7e | (this.dmg.cpu.doubleSpeedMode << 7) | (this.io[MMU.KEY1 - 0xff00] & 1) : 0xff;
+    }
+
     else if (loc >= 0xff00 && loc <= 0xff7f) {
       return this.io[loc - 0xff00];
     }
@@ -258,12 +451,23 @@ class MMU {
     if (loc == MMU.JOYP) {
       this.joypad.write(value);
     }
+    else if (loc >= Timer.DIV && loc <= Timer.TAC) {
+      this.timer.writeByte(loc, value);
+    }
+    else if (loc == Serial.SB || loc == Serial.SC) {
+      this.serial.writeByte(loc, value);
+    }
     else if (loc >= 0xff00 && loc <= 0xff7f) {
       // Route to APU channels
       if (loc >= APU.rNR10 && loc <= APU.rNR44) {
         this.apu.writeByte(loc, value);
       }
 
+      // STAT: Only the interrupt source bits can be written, the mode and LYC=LY bits are read-only
+      else if (loc == PPU.STAT_REG) {
+        this.io[loc - 0xff00] = (value & 0x78) | (this.io[loc - 0xff00] & 0x07);
+      }
+
       // CGB: - Start VRAM DMA Transfer
       else if (this.dmg.cgbMode && loc == MMU.HDMA5) {
         this.VRAMDMATransfer(value);
@@ -334,12 +538,39 @@ class MMU {
     // Video RAM
     else if (loc >= 0x8000 && loc <= 0x9fff) {
       this.vram[loc - 0x8000] = value;
+      this.ppu.invalidateTile(this.vram === this.vram1 ? 1 : 0, loc - 0x8000);
     }
 
     // Ext. RAM
     else if (loc >= 0xa000 && loc <= 0xbfff) {
-      if (this.xramEnabled) {
-        this.xram[(loc - 0xa000) + this.xramOffset] = value;
+      // MBC3: RTC register mapped instead of RAM bank
+      if (this.mbcType === MMU.MBC3 && this.rtcRegister !== null) {
+        if (this.xramEnabled) {
+          if (this.rtc.writeByte(this.rtcRegister, value)) {
+            this.setSaveDirty();
+          }
+        }
+      }
+      // MBC2: Only the lower 4 bits are stored
+      else if (this.mbcType === MMU.MBC2) {
+        if (this.xramEnabled) {
+          this.writeXRAM((loc - 0xa000) & 0x1ff, value & 0x0f);
+        }
+      }
+      // MBC7: Accelerometer and EEPROM registers
+      else if (this.mbcType === MMU.MBC7) {
+        this.MBC7Write(loc, value);
+      }
+      // HuC1/HuC3: RAM, IR or RTC depending on mode
+      else if (this.mbcType === MMU.HUC1 || this.mbcType === MMU.HUC3) {
+        this.HuCWrite(loc, value);
+      }
+      // Pocket Camera: Camera registers mapped instead of RAM bank
+      else if (this.mbcType === MMU.CAMERA && this.cameraRegisters) {
+        this.camera.writeByte(loc, value);
+      }
+      else if (this.xramEnabled) {
+        this.writeXRAM((loc - 0xa000) + this.xramOffset, value);
       }
     }
 
@@ -359,47 +590,153 @@ class MMU {
     else if (this.mbcType === MMU.MBC1) {
       // 0000-1FFF - RAM Enable
       if (loc >= 0x0000 && loc <= 0x1fff) {
-        this.xramEnabled = (value & 0xa) ? true : false;
+        this.xramEnabled = (value & 0x0f) === 0x0a;
       }
-      // 2000-3FFF - ROM Bank Number
+      // 2000-3FFF - ROM Bank Number (lower 5 bits)
       else if (loc >= 0x2000 && loc <= 0x3fff) {
-        this.romOffset1 = 16384 * ((value - 1) & 0x1f);
+        this.romBank1 = value & 0x1f;
+        this.updateMBC1Banks();
       }
       // 4000-5FFF - RAM Bank Number or Upper Bits of ROM Bank Number
       else if (loc >= 0x4000 && loc <= 0x5fff) {
-        if (this.romSize >= 1024) {
-          this.romOffset2 = 16384 * (((value - 1) & 0xb11) << 5);
-        }
-        if (this.ramSize > 32) {
-          this.xramOffset = 8192 * (value & 0xb11);
-        }
+        this.romBank2 = value & 0x03;
+        this.updateMBC1Banks();
       }
       // 6000-7FFF - Banking Mode Select
       else if (loc >= 0x6000 && loc <= 0x7fff) {
         this.bankMode = value & 1;
+        this.updateMBC1Banks();
+      }
+    }
+
+    // MBC2 registers
+    else if (this.mbcType === MMU.MBC2) {
+      // 0000-3FFF - RAM Enable (address bit 8 = 0) or ROM Bank Number (address bit 8 = 1)
+      if (loc >= 0x0000 && loc <= 0x3fff) {
+        if (loc & 0x100) {
+          const bank = (value & 0x0f) || 1;
+          this.romOffset1 = 16384 * ((bank % (this.romSize / 16)) - 1);
+        }
+        else {
+          this.xramEnabled = (value & 0x0f) === 0x0a;
+        }
+      }
+    }
+
+    // MBC3 registers
+    else if (this.mbcType === MMU.MBC3) {
+      // 0000-1FFF - RAM and RTC Enable
+      if (loc >= 0x0000 && loc <= 0x1fff) {
+        this.xramEnabled = (value & 0x0f) === 0x0a;
+      }
+      // 2000-3FFF - 7-bit ROM Bank Number (bank 0 maps to bank 1)
+      else if (loc >= 0x2000 && loc <= 0x3fff) {
+        const bank = (value & 0x7f) || 1;
+        this.romOffset1 = 16384 * ((bank % (this.romSize / 16)) - 1);
+      }
+      // 4000-5FFF - RAM Bank Number (0x00-0x03) or RTC Register Select (0x08-0x0c)
+      else if (loc >= 0x4000 && loc <= 0x5fff) {
+        if (value <= 0x03) {
+          this.rtcRegister = null;
+          this.xramOffset = 8192 * value;
+        }
+        else if (this.rtc && value >= RTC.RTC_S && value <= RTC.RTC_DH) {
+          this.rtcRegister = value;
+        }
       }
+      // 6000-7FFF - Latch Clock Data
+      else if (loc >= 0x6000 && loc <= 0x7fff) {
+        if (this.rtc) {
+          this.rtc.latch(value);
+        }
+      }
+    }
 
+    // MBC7 registers
+    else if (this.mbcType === MMU.MBC7) {
+      // 0000-1FFF - RAM Enable 1
+      if (loc >= 0x0000 && loc <= 0x1fff) {
+        this.xramEnabled = (value & 0x0f) === 0x0a;
+      }
+      // 2000-3FFF - ROM Bank Number
+      else if (loc >= 0x2000 && loc <= 0x3fff) {
+        this.romOffset1 = 16384 * (((value & 0x7f) % (this.romSize / 16)) - 1);
+      }
+      // 4000-5FFF - RAM Enable 2
+      else if (loc >= 0x4000 && loc <= 0x5fff) {
+        this.xramEnabled2 = value === 0x40;
+      }
+    }
+
+    // HuC1/HuC3 registers
+    else if (this.mbcType === MMU.HUC1 || this.mbcType === MMU.HUC3) {
+      // 0000-1FFF - Mode select
+      // HuC1: 0x0e = IR, otherwise RAM
+      // HuC3: 0x00 = RAM (read only), 0x0a = RAM, 0x0b = RTC command, 0x0c = RTC result, 0x0d = RTC semaphore, 0x0e = IR
+      if (loc >= 0x0000 && loc <= 0x1fff) {
+        this.hucMode = value & 0x0f;
+      }
+      // 2000-3FFF - ROM Bank Number (HuC1: 6 bits, HuC3: 7 bits)
+      else if (loc >= 0x2000 && loc <= 0x3fff) {
+        const bank = value & (this.mbcType === MMU.HUC1 ? 0x3f : 0x7f);
+        this.romOffset1 = 16384 * ((bank % (this.romSize / 16)) - 1);
+      }
+      // 4000-5FFF - RAM Bank Number
+      else if (loc >= 0x4000 && loc <= 0x5fff) {
+        this.xramOffset = 8192 * (value & 0x03);
+      }
+    }
+
+    // Pocket Camera registers
+    else if (this.mbcType === MMU.CAMERA) {
+      // 0000-1FFF - RAM Enable
+      if (loc >= 0x0000 && loc <= 0x1fff) {
+        this.xramEnabled = (value & 0x0f) === 0x0a;
+      }
+      // 2000-3FFF - ROM Bank Number
+      else if (loc >= 0x2000 && loc <= 0x3fff) {
+        this.romOffset1 = 16384 * (((value & 0x3f) % (this.romSize / 16)) - 1);
+      }
+      // 4000-5FFF - RAM Bank Number (0x00-0x0f) or Camera Registers (bit 4 set)
+      else if (loc >= 0x4000 && loc <= 0x5fff) {
+        if (value & 0x10) {
+          this.cameraRegisters = true;
+        }
+        else {
+          this.cameraRegisters = false;
+          this.xramOffset = 8192 * (value & 0x0f);
+        }
+      }
     }
 
     // MBC5 registers
     else if (this.mbcType === MMU.MBC5) {
       // 0000-1FFF - RAM Enable
       if (loc >= 0x0000 && loc <= 0x1fff) {
-        this.xramEnabled = (value & 0xa) ? true : false;
+        this.xramEnabled = (value & 0x0f) === 0x0a;
       }
       // 2000-2FFF - 8 least significant bits of ROM bank number (Write Only)
       else if (loc >= 0x2000 && loc <= 0x2fff) {
-        this.romOffset1 = 16384 * ((value & 0xff) - 1);
+        this.romBank1 = value & 0xff;
+        this.updateMBC5Banks();
       }
 
       // 3000-3fff - 9th bit of ROM bank number
       else if (loc >= 0x3000 && loc <= 0x3fff) {
-        this.romOffset2 = 16384 * ((value & 1) << 9);
+        this.romBank2 = value & 1;
+        this.updateMBC5Banks();
       }
 
       // 4000-5fff Ext. RAM bank number
+      // Rumble carts use bit 3 to switch the motor on/off
       else if (loc >= 0x4000 && loc <= 0x5fff) {
-        this.xramOffset = 8192 * (value & 0x0f);
+        if (this.rumble) {
+          this.setRumble((value & 0x08) !== 0);
+          this.xramOffset = 8192 * (value & 0x07);
+        }
+        else {
+          this.xramOffset = 8192 * (value & 0x0f);
+        }
       }
     }
 
@@ -412,6 +749,210 @@ class MMU {
     }
   }
 
+  // MBC7 registers at A000-AFFF, selected by address bits 4-7
+  MBC7Read(loc) {
+    if (! this.xramEnabled || ! this.xramEnabled2 || loc > 0xafff) {
+      return 0xff;
+    }
+    switch ((loc >> 4) & 0xf) {
+      case 0x2: // Accelerometer X low
+        return this.accelerometer.x & 0xff;
+      case 0x3: // Accelerometer X high
+        return this.accelerometer.x >> 8;
+      case 0x4: // Accelerometer Y low
+        return this.accelerometer.y & 0xff;
+      case 0x5: // Accelerometer Y high
+        return this.accelerometer.y >> 8;
+      case 0x6:
+        return 0x00;
+      case 0x8: // EEPROM
+        return this.eeprom.read();
+      default:
+        return 0xff;
+    }
+  }
+
+  MBC7Write(loc, value) {
+    if (! this.xramEnabled || ! this.xramEnabled2 || loc > 0xafff) {
+      return;
+    }
+    switch ((loc >> 4) & 0xf) {
+      case 0x0: // Erase latched accelerometer data
+        if (value === 0x55) {
+          this.accelerometer.erase();
+        }
+        break;
+      case 0x1: // Latch accelerometer data
+        if (value === 0xaa) {
+          this.accelerometer.latch(this.joypad.tiltX, this.joypad.tiltY);
+        }
+        break;
+      case 0x8: // EEPROM
+        this.eeprom.write(value);
+        break;
+      default:
+    }
+  }
+
+  HuCRead(loc) {
+    // IR receiver: 0xc0 = no light detected
+    if (this.hucMode === 0x0e) {
+      return 0xc0;
+    }
+    if (this.mbcType === MMU.HUC1 || this.hucMode === 0x00 || this.hucMode === 0x0a) {
+      return this.xram[(loc - 0xa000) + this.xramOffset];
+    }
+    if (this.hucMode === 0x0c) {
+      return this.rtc.readResult();
+    }
+    if (this.hucMode === 0x0d) {
+      return this.rtc.readSemaphore();
+    }
+    return 0xff;
+  }
+
+  HuCWrite(loc, value) {
+    // IR transmitter: bit 0 = LED on
+    if (this.hucMode === 0x0e) {
+      this.irLED = (value & 1) !== 0;
+    }
+    else if (this.mbcType === MMU.HUC1 || this.hucMode === 0x0a) {
+      this.writeXRAM((loc - 0xa000) + this.xramOffset, value);
+    }
+    else if (this.hucMode === 0x0b) {
+      this.rtc.writeCommand(value);
+    }
+    // Only commands that set the time change the saved clock data
+    else if (this.hucMode === 0x0d) {
+      const { minutes, days } = this.rtc;
+      this.rtc.writeSemaphore(value);
+      if (this.rtc.minutes !== minutes || this.rtc.days !== days) {
+        this.setSaveDirty();
+      }
+    }
+  }
+
+  // Store a byte in ext. RAM, battery saves are flagged only when the contents change
+  writeXRAM(offset, value) {
+    if (this.xram[offset] !== value) {
+      this.xram[offset] = value;
+      this.setSaveDirty();
+    }
+  }
+
+  // Flag battery-backed RAM or clock data for saving
+  setSaveDirty() {
+    if (this.battery) {
+      this.xramDirty = true;
+    }
+  }
+
+  // Notify the emulator when the rumble motor changes state
+  setRumble(on) {
+    if (on !== this.rumbleOn) {
+      this.rumbleOn = on;
+      this.dmg.rumble(on);
+    }
+  }
+
+  // Recalculate the MBC5 ROM offset from the 9-bit bank number
+  // Banks past the end of the ROM wrap around like on MBC1
+  updateMBC5Banks() {
+    const bank = ((this.romBank2 << 8) | this.romBank1) % (this.romSize / 16);
+    this.romOffset1 = 16384 * (bank - 1);
+  }
+
+  // Recalculate MBC1 ROM/RAM offsets from the bank registers
+  updateMBC1Banks() {
+    const banks = this.romSize / 16;
+
+    // MBC1M multicarts don't connect bit 4 of the lower bank register
+    const shift = this.mbc1Multicart ? 4 : 5;
+
+    // Bank 0 is translated to bank 1 before the upper bits are applied
+    // so banks 0x20, 0x40, 0x60 map to 0x21, 0x41, 0x61
+    let bank1 = this.romBank1 || 1;
+    if (this.mbc1Multicart) {
+      bank1 &= 0x0f;
+    }
+    const upper = this.romBank2 << shift;
+
+    // 4000-7FFF
+    this.romOffset1 = 16384 * (((upper | bank1) % banks) - 1);
+
+    // Mode 1: upper bits also select the bank at 0000-3FFF and the RAM bank
+    if (this.bankMode) {
+      this.romOffset0 = 16384 * (upper % banks);
+      this.xramOffset = this.ramSize >= 32 ? 8192 * this.romBank2 : 0;
+    }
+    else {
+      this.romOffset0 = 0;
+      this.xramOffset = 0;
+    }
+  }
+
+  // MBC1M multicarts are 1 MiB and repeat the Nintendo logo at the start of each 256 KiB game
+  isMBC1Multicart(rom) {
+    if (this.romSize !== 1024) {
+      return false;
+    }
+    const offset = 0x10 * 16384;
+    for (let n = 0x104; n < 0x134; n++) {
+      if (rom[offset + n] !== rom[n]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Size of battery-backed RAM in bytes
+  getSaveRamSize() {
+    if (this.mbcType === MMU.MBC2) {
+      return 512;
+    }
+    if (this.mbcType === MMU.MBC7) {
+      return EEPROM.NUM_WORDS * 2;
+    }
+    return this.ramSize * 1024;
+  }
+
+  // Battery save data: ext. RAM followed by clock data (MBC3, HuC3)
+  getSaveData() {
+    const ram = this.xram.slice(0, this.getSaveRamSize());
+    if (! this.rtc) {
+      return ram;
+    }
+    const rtc = this.rtc.save();
+    const data = new Uint8Array(ram.length + rtc.length);
+    data.set(ram);
+    data.set(rtc, ram.length);
+    return data;
+  }
+
+  loadSaveData(data) {
+    const size = this.getSaveRamSize();
+    const bytes = Uint8Array.from(data);
+
+    if (bytes.length < size) {
+      console.warn("Save data is smaller than cartridge RAM: " + bytes.length + " < " + size);
+    }
+    this.xram.set(bytes.subarray(0, size));
+    if (this.rtc && bytes.length > size) {
+      this.rtc.load(bytes.subarray(size));
+    }
+    this.xramDirty = false;
+  }
+
+  // Update cartridge hardware for (n) cycles
+  update(cycles) {
+    if (this.rtc) {
+      this.rtc.update(cycles);
+    }
+    if (this.camera) {
+      this.camera.update(cycles);
+    }
+  }
+
   OAMDMATransfer(value) {
     const src = value << 8;
     for (let n = 0; n < 160; n++) {
@@ -431,4 +972,3 @@ class MMU {
     this.writeByte(MMU.HDMA5, 0xff);
   }
 }
-window.MMU = MMU;
@@ -0,0 +1,65 @@
+// Node.js entry point: headless emulator core without window, document or Web Audio
+//
+// const { createDMG } = require('./dist/node.js');
+// const dmg = createDMG({ screen: { reset() {}, update(frameBuf) {} } });
+// dmg.loadRom(Array.from(fs.readFileSync('game.gb')));
+// dmg.start();
+// dmg.runFrame();
+
+const fs = require('fs');
+const path = require('path');
+
+// Battery saves stored as .sav files in a directory
+class FileStorageBackend {
+  constructor(dir = '.') {
+    this.dir = dir;
+  }
+
+  getPath(key) {
+    return path.join(this.dir, key.replace(/[^\w.-]/g, '_') + '.sav');
+  }
+
+  load(key) {
+    return fs.promises.readFile(this.getPath(key))
+      .then((data) => new Uint8Array(data))
+      .catch((e) => {
+        if (e.code === 'ENOENT') {
+          return null;
+        }
+        throw e;
+      });
+  }
+
+  save(key, data) {
+    return fs.promises.mkdir(this.dir, { recursive: true })
+      .then(() => fs.promises.writeFile(this.getPath(key), Uint8Array.from(data)));
+  }
+}
+
+// Create an emulator with optional video/audio sinks and storage backend
+const createDMG = (options = {}) => {
+  const dmg = new DMG();
+
+  dmg.screen = options.screen || null;
+  dmg.audio = options.audio || null;
+  dmg.storage = options.storage || null;
+  dmg.joypad = new Joypad(dmg);
+  dmg.cpu = new CPU(dmg);
+  dmg.timer = new Timer(dmg);
+  dmg.serial = new Serial(dmg);
+  dmg.ppu = new PPU(dmg);
+  dmg.ppu.fastRender = options.fastRender || false;
+  dmg.apu = new APU(dmg);
+  dmg.mmu = new MMU(dmg);
+  return dmg;
+};
+
+module.exports = {
+  createDMG, FileStorageBackend,
+  DMG, CPU, Timer, Serial, NullSerialPeer, CaptureSerialPeer,
+  LinkCable, RemoteLink, MessagePortTransport, WebSocketTransport, Printer,
+  MMU, PPU, APU, Square, Wavetable, Noise, Joypad,
+  RTC, HuC3RTC, EEPROM, Accelerometer, Camera,
+  StateWriter, StateReader,
+  hexify, tcBin2Dec, uint16, getText,
+};
@@ -1,4 +1,14 @@
 // PPU
+//
+// Each line spends 80 dots in OAM scan and a variable number of dots in mode 3, where a
+// fetcher reads BG/window tiles into a pixel FIFO and one pixel is shifted out to the LCD per
+// dot. Mode 3 takes 172 dots plus the dropped SCX fine scroll pixels, 6 dots when the window
+// starts and 6 to 11 dots per object fetched, the rest of the 456 dots is HBLANK.
+//
+// The window shows once LY has matched WY during the frame and the output reaches WX - 7. It
+// keeps its own line counter, so lines where it is hidden don't skip window rows. WX 0-6 cut
+// off the window's left pixels and WX 166 also covers the whole next line.
+// More info at https://gbdev.io/pandocs/pixel_fifo.html
 class PPU {
   // LCD status register interrupt sources/flags
   static STAT_REG = 0xff41;
@@ -44,6 +54,19 @@ class PPU {
   static VIEWPORT_WIDTH = 160;
   static VIEWPORT_HEIGHT = 144;
 
+  // Scanline timing in dots
+  static LINE_DOTS = 456;
+  static OAM_SCAN_DOTS = 80;
+  static FIRST_FETCH_DOTS = 6;  // The first tile fetch of a line is done twice
+  static SPRITE_FETCH_DOTS = 6;
+  static MAX_SPRITES_PER_LINE = 10;
+
+  // CGB BG map attributes (VRAM bank 1)
+  static ATTR_PRIORITY = 1 << 7;
+  static ATTR_FLIP_Y = 1 << 6;
+  static ATTR_FLIP_X = 1 << 5;
+  static ATTR_VRAM_BANK = 1 << 3;
+
   // Palette
   static DEFAULT_PALETTE = [
     [224, 248, 208],  // lightest
@@ -76,17 +99,13 @@ class PPU {
 
   constructor(dmg) {
     this.dmg = dmg;
-    this.tileData = new Uint8Array(16);
-    this.spriteData = new Uint8Array(32);
     this.spriteHeight = 8;
-    this.tileSize = 8;
-    this.bgNumTiles = 32;
-    this.bgColorId = 0;
-    this.x = 0;
+    this.x = 0; // Next pixel sent to the LCD
     this.y = 0;
     this.frameBuf = null;
     this.cycles = 0;
     this.LCDEnabled = false;
+    this.statLine = false; // STAT interrupt line, the interrupt is requested on the rising edge
     this.sprites = [];
     this.LCDC = 0;
     this.scrollX = 0;
@@ -94,7 +113,51 @@ class PPU {
     this.winX = 0;
     this.winY = 0;
     this.BGP = 0;
+    this.OBP0 = 0;
+    this.OBP1 = 0;
     this.dots = 0;
+    this.mode3 = false; // Transferring pixels to the LCD
+
+    // Pixel FIFOs, each entry is color | palette << 2 | priority << 5
+    this.bgFifo = new Uint8Array(8);
+    this.bgHead = 0;
+    this.bgLength = 0;
+    this.objFifo = new Uint8Array(8); // Color 0 is transparent
+    this.objIndex = new Uint8Array(8); // OAM index of each object pixel for CGB priority
+    this.objHead = 0;
+    this.discard = 0; // BG pixels left to drop for SCX fine scroll
+
+    // BG/window fetcher
+    this.fetcherDots = 0;
+    this.fetcherX = 0; // Tile column
+    this.fetchTile = 0;
+    this.fetchAttrs = 0;
+    this.fetchRow = 0;
+    this.fetchLow = 0;
+    this.fetchHigh = 0;
+    this.window = false; // Window drawn on this line
+
+    // Window position
+    this.windowTriggered = false; // WY matched LY this frame
+    this.windowLine = 0; // Internal line counter, only advances on lines the window is drawn on
+    this.windowWrap = false; // WX was 166 when the window was drawn, it covers the next line
+
+    // Object fetches
+    this.nextSprite = 0; // Next object to fetch in this.sprites
+    this.spriteDots = 0; // Dots left of the current object fetch
+    this.penaltyTile = -1; // Tile the last object fetch waited for the BG fetcher on
+
+    // Fast mode renders whole lines from decoded tiles at the start of mode 3 instead of
+    // running the pixel FIFO. Mid-scanline register writes are not visible
+    this.fastRender = false;
+    this.tileCache = new TileCache();
+    this.transferEnd = 0; // Dot mode 3 ends in fast mode
+    this.lineBg = new Uint8Array(PPU.VIEWPORT_WIDTH); // Line pixels in the same format as the FIFOs
+    this.lineObj = new Uint8Array(PPU.VIEWPORT_WIDTH);
+    this.lineObjIndex = new Uint8Array(PPU.VIEWPORT_WIDTH);
+    this.lineColors = new Uint32Array(64); // Packed BG colors at FIFO pixel & 0x1f, object colors at 32 + that
+    this.rgba = new Uint8Array(4); // Scratch pixel for packing colors in memory order
+    this.rgba32 = new Uint32Array(this.rgba.buffer);
     this.skipFrame = true;
     this.palette = PPU.DEFAULT_PALETTE;
   }
@@ -104,12 +167,108 @@ class PPU {
     this.mmu = this.dmg.mmu;
     this.x = 0;
     this.y = 0;
-    this.frameBuf = new ImageData(PPU.VIEWPORT_WIDTH, PPU.VIEWPORT_HEIGHT);
+    this.frameBuf = new Uint8ClampedArray(PPU.VIEWPORT_WIDTH * PPU.VIEWPORT_HEIGHT * 4); // RGBA
+    this.frameBuf32 = new Uint32Array(this.frameBuf.buffer); // One packed RGBA value per pixel
     this.cycles = 0;
     this.LCDEnabled = false;
     this.sprites = [];
     this.dots = 0;
+    this.mode3 = false;
+    this.transferEnd = 0;
+    this.statLine = false;
     this.skipFrame = true;
+    this.tileCache.invalidateAll();
+  }
+
+  saveState(state) {
+    state.i32(this.x);
+    state.i32(this.y);
+    state.i32(this.dots);
+    state.f64(this.cycles);
+    state.bool(this.LCDEnabled);
+    state.bool(this.statLine);
+    state.bool(this.skipFrame);
+    state.u8(this.spriteHeight);
+
+    // Mode 3 FIFOs and fetchers
+    state.bool(this.mode3);
+    state.bytes(this.bgFifo);
+    state.u8(this.bgHead);
+    state.u8(this.bgLength);
+    state.bytes(this.objFifo);
+    state.bytes(this.objIndex);
+    state.u8(this.objHead);
+    state.u8(this.discard);
+    state.i32(this.fetcherDots);
+    state.u8(this.fetcherX);
+    state.u8(this.fetchTile);
+    state.u8(this.fetchAttrs);
+    state.u8(this.fetchRow);
+    state.u8(this.fetchLow);
+    state.u8(this.fetchHigh);
+    state.bool(this.window);
+    state.bool(this.windowTriggered);
+    state.u8(this.windowLine);
+    state.bool(this.windowWrap);
+    state.u8(this.nextSprite);
+    state.u8(this.spriteDots);
+    state.i32(this.penaltyTile);
+    state.i32(this.transferEnd);
+
+    // Sprites selected for the current line
+    state.u8(this.sprites.length);
+    for (const sprite of this.sprites) {
+      state.u8(sprite.oamIndex);
+      state.u8(sprite.y);
+      state.u8(sprite.x);
+      state.u8(sprite.tileIndex);
+      state.u8(sprite.flags);
+    }
+    state.bytes(this.frameBuf);
+  }
+
+  loadState(state) {
+    this.x = state.i32();
+    this.y = state.i32();
+    this.dots = state.i32();
+    this.cycles = state.f64();
+    this.LCDEnabled = state.bool();
+    this.statLine = state.bool();
+    this.skipFrame = state.bool();
+    this.spriteHeight = state.u8();
+
+    this.mode3 = state.bool();
+    state.into(this.bgFifo);
+    this.bgHead = state.u8();
+    this.bgLength = state.u8();
+    state.into(this.objFifo);
+    state.into(this.objIndex);
+    this.objHead = state.u8();
+    this.discard = state.u8();
+    this.fetcherDots = state.i32();
+    this.fetcherX = state.u8();
+    this.fetchTile = state.u8();
+    this.fetchAttrs = state.u8();
+    this.fetchRow = state.u8();
+    this.fetchLow = state.u8();
+    this.fetchHigh = state.u8();
+    this.window = state.bool();
+    this.windowTriggered = state.bool();
+    this.windowLine = state.u8();
+    this.windowWrap = state.bool();
+    this.nextSprite = state.u8();
+    this.spriteDots = state.u8();
+    this.penaltyTile = state.i32();
+    this.transferEnd = state.i32();
+    this.tileCache.invalidateAll();
+
+    const count = state.u8();
+    this.sprites = [];
+    for (let n = 0; n < count; n++) {
+      const index = state.u8();
+      this.sprites.push(this.createSprite(index, state.u8(), state.u8(), state.u8(), state.u8()));
+    }
+    state.into(this.frameBuf);
   }
 
   readByte(loc) {
@@ -120,384 +279,639 @@ class PPU {
     return this.mmu.writeByte(loc, value);
   }
 
+  // The mode and LYC=LY bits of STAT are read-only, so they are written to I/O memory directly
   setStatMode(statMode) {
-    // clear lower two status bits of STAT register and set new STAT mode
-    let stat = this.readByte(PPU.STAT_REG);
-    stat &= ~0x3;
-    this.writeByte(PPU.STAT_REG, stat | statMode);
+    const io = this.mmu.io;
+    io[PPU.STAT_REG - 0xff00] = (io[PPU.STAT_REG - 0xff00] & ~0x3) | statMode;
+    this.evalStatInterrupt();
   }
 
-  // Test if LYC=LY and request interrupt
+  // Update the LYC=LY flag
   evalLYCLYInterrupt() {
-    const stat = this.readByte(PPU.STAT_REG);
-    const LYCLYEqual = this.readByte(PPU.LYC_REG) === this.readByte(PPU.LY_REG);
-
-    if (LYCLYEqual && stat & PPU.STAT_LYCLY_ENABLE) {
-      this.writeByte(CPU.IF_REG, this.readByte(CPU.IF_REG) | CPU.IF_STAT);
-      this.writeByte(PPU.STAT_REG, stat | PPU.STAT_LYCLY_EQUAL);
+    const io = this.mmu.io;
+    if (io[PPU.LYC_REG - 0xff00] === io[PPU.LY_REG - 0xff00]) {
+      io[PPU.STAT_REG - 0xff00] |= PPU.STAT_LYCLY_EQUAL;
+    }
+    else {
+      io[PPU.STAT_REG - 0xff00] &= ~PPU.STAT_LYCLY_EQUAL;
     }
+    this.evalStatInterrupt();
   }
 
-  // Evaluate STAT interrupt line and request interrupt
+  // Evaluate the STAT interrupt line, the interrupt is only requested when the line goes high.
+  // While one enabled source holds the line high, other sources don't request it again
+  // Runs every M-cycle, so STAT is read from I/O memory directly
   evalStatInterrupt() {
+    const stat = this.mmu.io[PPU.STAT_REG - 0xff00];
+    let line = (stat & PPU.STAT_LYCLY_ENABLE) && (stat & PPU.STAT_LYCLY_EQUAL);
 
-    const stat = this.mmu.readByte(PPU.STAT_REG);
-    const statMode = stat & 0x3;
-    let interrupt;
-
-    switch (statMode) {
+    switch (stat & 0x3) {
       case PPU.STAT_HBLANK_MODE:
-        interrupt = stat & PPU.STAT_HBLANK_ENABLE;
+        line = line || (stat & PPU.STAT_HBLANK_ENABLE);
         break;
 
       case PPU.STAT_VBLANK_MODE:
-        interrupt = stat & PPU.STAT_VBLANK_ENABLE;
+        line = line || (stat & PPU.STAT_VBLANK_ENABLE);
         break;
 
       case PPU.STAT_OAM_MODE:
-        interrupt = stat & PPU.STAT_OAM_ENABLE;
-        break;
-
-      case PPU.STAT_TRANSFER_MODE:
-        interrupt = stat & PPU.STAT_TRANSFER_ENABLE;
+        line = line || (stat & PPU.STAT_OAM_ENABLE);
         break;
       default:
     }
-    if (interrupt) {
+    line = Boolean(line) && this.LCDEnabled;
+    if (line && ! this.statLine) {
       this.writeByte(CPU.IF_REG, this.readByte(CPU.IF_REG) | CPU.IF_STAT);
     }
+    this.statLine = line;
   }
 
   // Update the PPU for (n) cycles
   update(cycles) {
-    const statMode = null;
-
+    const io = this.mmu.io; // Registers are read from I/O memory directly, this runs every M-cycle
     this.cycles += cycles;
-    this.LCDC = this.readByte(PPU.LCDC_REG);
+    this.LCDC = io[PPU.LCDC_REG - 0xff00];
     this.LCDEnabled = this.LCDC & PPU.LCDC_ENABLE ? true : false;
 
     // LCD state changed to disabled
     if (! this.LCDEnabled) {
       this.writeByte(PPU.LY_REG, 0);
       this.evalLYCLYInterrupt();
-      this.setStatMode(PPU.STAT_MODE_HBLANK);
+      this.setStatMode(PPU.STAT_HBLANK_MODE);
+      this.x = 0;
+      this.y = 0;
+      this.dots = 0;
+      this.mode3 = false;
+      this.transferEnd = 0;
+      this.resetWindow();
       this.skipFrame = true; // Skip first frame when enabling LCD - screen garbage otherwise
       return;
     }
 
-    this.scrollX = this.readByte(PPU.SCROLLX_REG);
-    this.scrollY = this.readByte(PPU.SCROLLY_REG);
-    this.winX = this.readByte(PPU.WINX_REG) - 7; // winX = window position - 7 (hardware bug?)
-    this.winY = this.readByte(PPU.WINY_REG);
-    this.BGP = this.readByte(PPU.BGP_REG);
-
-    // For each CPU cycle, advance the PPU's state
-    while (cycles--) {
-      // OAM scan for 80 dots (cycles) while not in VBLANK
-      if (this.y < 144 && this.dots < 80) {
-        if (this.dots === 0) {
-          this.setStatMode(PPU.STAT_OAM_MODE);
+    // Registers are sampled every M-cycle, so mid-scanline writes apply from the next pixels
+    this.scrollX = io[PPU.SCROLLX_REG - 0xff00];
+    this.scrollY = io[PPU.SCROLLY_REG - 0xff00];
+    this.winX = io[PPU.WINX_REG - 0xff00] - 7; // winX = window position - 7 (hardware bug?)
+    this.winY = io[PPU.WINY_REG - 0xff00];
+    this.BGP = io[PPU.BGP_REG - 0xff00];
+    this.OBP0 = io[PPU.OBP0 - 0xff00];
+    this.OBP1 = io[PPU.OBP1 - 0xff00];
+
+    // Advance the PPU's state dot by dot while the pixel FIFO runs, otherwise jump to the
+    // next mode change
+    while (cycles > 0) {
+      let step = 1;
+      if (this.mode3 && ! this.transferEnd) {
+        this.transferDot();
+        if (this.x === PPU.VIEWPORT_WIDTH) {
+          this.mode3 = false;
+          this.setStatMode(PPU.STAT_HBLANK_MODE);
         }
-        this.dots++;
       }
       else {
-        // Render BG and sprites if x & y are within screen boundary and respective layer is enabled
-        if (this.x < PPU.VIEWPORT_WIDTH && this.y < PPU.VIEWPORT_HEIGHT) {
-          if (this.LCDC & PPU.LCDC_BGWIN_ENABLE) {
-            if (this.dmg.cgbMode) {
-              this.cgbDrawBackground(this.x, this.y);
-            }
-            else {
-              this.drawBackground(this.x, this.y);
-            }
-          }
-          if (this.LCDC & PPU.LCDC_BGWIN_ENABLE && this.LCDC & PPU.LCDC_WIN_ENABLE) {
-            this.drawWindow(this.x, this.y);
-          }
-          if (this.LCDC & PPU.LCDC_OBJ_ENABLE) {
-            this.drawSprites(this.x, this.y);
-          }
+        step = Math.min(cycles, this.getNextEventDot() - this.dots);
+      }
+      this.dots += step;
+      cycles -= step;
+
+      // End HBLANK - update next scanline
+      if (this.dots === PPU.LINE_DOTS) {
+        this.x = 0;
+        this.y++;
+        this.dots = 0;
+
+        // The window line counter advances on lines the window was drawn on. With WX=166
+        // the window also covers the whole next line
+        if (this.window) {
+          this.windowLine++;
+        }
+        this.windowWrap = this.window && this.winX === PPU.VIEWPORT_WIDTH - 1;
+        this.window = false;
+
+        // End VBLANK - reset to scanline 0
+        if (this.y == 154) {
+          this.y = 0;
+          this.resetWindow();
         }
-        // End HBLANK - update next scanline
-        if (this.dots == 456) {
-          this.x = 0;
-          this.y++;
-          this.dots = 0;
-
-          // New line outside VBLANK - return to OAM mode
-          if (this.y < 144) {
-            this.setStatMode(PPU.STAT_OAM_MODE);
-          }
-          // End VBLANK - reset to scanline 0
-          else if (this.y == 154) {
-            this.y = 0;
-            this.setStatMode(PPU.STAT_OAM_MODE);
-          }
 
-          // Begin VBLANK
-          else if (this.y == 144) {
-            // Set VBLANK STAT mode & interrupt flag
-            this.setStatMode(PPU.STAT_VBLANK_MODE);
-            this.writeByte(CPU.IF_REG, this.readByte(CPU.IF_REG) | CPU.IF_VBLANK);
+        // Begin VBLANK
+        else if (this.y == 144) {
+          // Set VBLANK STAT mode & interrupt flag
+          this.setStatMode(PPU.STAT_VBLANK_MODE);
+          this.writeByte(CPU.IF_REG, this.readByte(CPU.IF_REG) | CPU.IF_VBLANK);
 
-            if (this.LCDEnabled && ! this.skipFrame) {
-              this.screen.update(this.frameBuf);
-            }
-            this.skipFrame = false;
+          // Send the finished frame to the video sink
+          if (this.LCDEnabled && ! this.skipFrame && this.screen) {
+            this.screen.update(this.frameBuf);
           }
+          this.skipFrame = false;
+        }
 
-          // Update LYC=LY
-          this.writeByte(PPU.LY_REG, this.y);
-          this.evalLYCLYInterrupt();
+        // Update LYC=LY
+        this.writeByte(PPU.LY_REG, this.y);
+        this.evalLYCLYInterrupt();
 
-          // Get sprites for the current line
-          this.sprites = this.getSpritesForLine(this.y);
+        // Get sprites for the current line
+        this.sprites = this.getSpritesForLine(this.y);
+      }
 
+      // OAM scan for 80 dots, then transfer pixels until the line is complete
+      if (this.y < PPU.VIEWPORT_HEIGHT) {
+        if (this.dots === 0) {
+          this.setStatMode(PPU.STAT_OAM_MODE);
         }
-        // Set STAT mode when in non-VBLANK state
-        else {
-          if (this.y < 144) {
-            if (this.dots === 80) {
-              this.setStatMode(PPU.STAT_TRANSFER_MODE);
-            }
-            else if (this.dots === 252) {
-              this.setStatMode(PPU.STAT_HBLANK_MODE);
-            }
+        else if (this.dots === PPU.OAM_SCAN_DOTS) {
+          // WY==LY is latched until the end of the frame
+          if (this.y === this.winY) {
+            this.windowTriggered = true;
+          }
+          if (this.fastRender) {
+            this.renderLine();
+            this.mode3 = true;
+            this.transferEnd = PPU.OAM_SCAN_DOTS + this.getTransferDots();
           }
-          this.x++;
-          this.dots++;
+          else {
+            this.startTransfer();
+          }
+          this.setStatMode(PPU.STAT_TRANSFER_MODE);
+        }
+        else if (this.mode3 && this.dots === this.transferEnd) {
+          this.mode3 = false;
+          this.transferEnd = 0;
+          this.x = PPU.VIEWPORT_WIDTH;
+          this.setStatMode(PPU.STAT_HBLANK_MODE);
         }
       }
     }
     this.evalStatInterrupt();
   }
 
-  getColorRGB(colorId, palette) {
-    return this.palette[(palette >> (2 * colorId)) & 0b11];
+  resetWindow() {
+    this.window = false;
+    this.windowTriggered = false;
+    this.windowLine = 0;
+    this.windowWrap = false;
   }
 
-  cgbGetColorRGB(colorId, paletteId, ram) {
-    const offset = paletteId * 8 + colorId * 2;
-    const color = uint16(ram[offset + 1], ram[offset]);
+  // Window shown on the current line
+  isWindowOnLine() {
+    return this.windowTriggered && (this.LCDC & PPU.LCDC_WIN_ENABLE) !== 0 &&
+      (this.windowWrap || this.winX < PPU.VIEWPORT_WIDTH);
+  }
 
-    // Convert from 15 to 24-bit color
-    // TODO: Is there a better way to do it?
-    return [
-      (color & 0x1f) * 8,
-      ((color >> 5) & 0x1f) * 8,
-      ((color >> 10) & 0x1f) * 8,
-    ];
+  // First pixel of the window on the current line
+  // WX 0-6 start at the left edge with the first 7 - WX window pixels cut off
+  getWindowStart() {
+    return this.windowWrap ? 0 : Math.max(0, this.winX);
+  }
+
+  // Dot of the next mode change on this line
+  getNextEventDot() {
+    if (this.y >= PPU.VIEWPORT_HEIGHT) {
+      return PPU.LINE_DOTS;
+    }
+    if (this.dots < PPU.OAM_SCAN_DOTS) {
+      return PPU.OAM_SCAN_DOTS;
+    }
+    return this.mode3 ? this.transferEnd : PPU.LINE_DOTS;
+  }
+
+  // Start of mode 3: empty the FIFOs and restart the fetcher at the left of the line
+  startTransfer() {
+    this.mode3 = true;
+    this.transferEnd = 0;
+    this.x = 0;
+    this.discard = this.scrollX & 7;
+    this.bgLength = 0;
+    this.objFifo.fill(0);
+    this.objHead = 0;
+    this.fetcherX = 0;
+    this.fetcherDots = -PPU.FIRST_FETCH_DOTS;
+    this.nextSprite = 0;
+    this.spriteDots = 0;
+    this.penaltyTile = -1;
   }
 
-  // Return tile index info for x, y coord from vram bank at base address
-  getTileIndex(x, y, vram, base) {
-    const yTiles = Math.floor(y / this.tileSize) % this.bgNumTiles;
-    const xTiles = Math.floor(x / this.tileSize) % this.bgNumTiles;
-    const tileNum = xTiles + yTiles * this.bgNumTiles;
-    return vram[base + tileNum - 0x8000];
+  // Advance mode 3 by one dot
+  transferDot() {
+    // Object fetches stall the BG fetcher and pixel output
+    if (this.spriteDots > 0) {
+      if (--this.spriteDots === 0) {
+        this.fetchSprite(this.sprites[this.nextSprite++]);
+      }
+      return;
+    }
+    if (this.startSpriteFetch()) {
+      return;
+    }
+
+    // Window reached: drop the BG pixels and fetch window tiles from its first column
+    // A window at the left edge keeps the first fetch delay and drops 7 - WX pixels instead of SCX
+    if (! this.window && this.x >= this.getWindowStart() && this.isWindowOnLine()) {
+      this.window = true;
+      this.bgLength = 0;
+      this.fetcherX = 0;
+      this.fetcherDots = Math.min(this.fetcherDots, 0);
+      this.penaltyTile = -1;
+      this.discard = this.windowWrap ? 0 : Math.max(0, -this.winX);
+    }
+    this.shiftPixel();
+    this.fetcherTick();
   }
 
-  // Get tile data for tile id from vram bank
-  // Each tile uses 16 bytes of memory
-  getTileData(tileIndex, vram) {
+  // Start fetching the next object once the output reaches it, returns true if a fetch started
+  // The fetch takes 6 dots, plus the time the BG fetcher needs to finish the tile under
+  // the object for the first object on each tile
+  startSpriteFetch() {
+    while (this.nextSprite < this.sprites.length && this.sprites[this.nextSprite].x <= this.x + 8) {
+      if (! (this.LCDC & PPU.LCDC_OBJ_ENABLE)) {
+        this.nextSprite++;
+        continue;
+      }
+      const tileX = this.window ? this.x - (this.windowWrap ? 0 : this.winX) : this.x + this.scrollX;
+      let penalty = PPU.SPRITE_FETCH_DOTS;
+      if (tileX >> 3 !== this.penaltyTile) {
+        penalty += Math.max(0, 5 - (tileX & 7));
+        this.penaltyTile = tileX >> 3;
+      }
+      this.spriteDots = penalty - 1;
+      return true;
+    }
+    return false;
+  }
 
+  // BG/window fetcher: tile index, tile data low and tile data high take 2 dots each,
+  // then the 8 pixels are pushed as soon as the BG FIFO is empty
+  fetcherTick() {
+    this.fetcherDots++;
+    if (this.fetcherDots === 2) {
+      this.fetchTileIndex();
+    }
+    else if (this.fetcherDots === 4) {
+      this.fetchLow = this.readTileRow(0);
+    }
+    else if (this.fetcherDots === 6) {
+      this.fetchHigh = this.readTileRow(1);
+    }
+    if (this.fetcherDots >= 6 && this.bgLength === 0) {
+      this.pushTile();
+      this.fetcherDots = 0;
+      this.fetcherX++;
+    }
+  }
+
+  // Read the tilemap entry (and CGB attributes) for the fetcher's column
+  fetchTileIndex() {
+    let map;
+    let line;
+    let column;
+    if (this.window) {
+      map = this.LCDC & PPU.LCDC_WIN_TILEMAP ? 0x1c00 : 0x1800;
+      line = this.windowLine;
+      column = this.fetcherX & 0x1f;
+    }
+    else {
+      map = this.LCDC & PPU.LCDC_BG_TILEMAP ? 0x1c00 : 0x1800;
+      line = (this.y + this.scrollY) & 0xff;
+      column = ((this.scrollX >> 3) + this.fetcherX) & 0x1f;
+    }
+    const addr = map + (line >> 3) * 32 + column;
+    this.fetchTile = this.mmu.vram0[addr];
+    this.fetchAttrs = this.dmg.cgbMode ? this.mmu.vram1[addr] : 0;
+    this.fetchRow = line & 7;
+  }
+
+  // Read the low (0) or high (1) byte of the fetched tile's row
+  readTileRow(high) {
     // When bg/win flag is NOT set:
     //  tiles 0-127   -> address range 0x9000 - 0x97ff
     //  tiles 128-255 -> address range 0x8800 - 0x8fff
-    const tile = new Uint8Array(16);
-    let index;
+    const base = this.LCDC & PPU.LCDC_BGWIN_TILEDATA ? 16 * this.fetchTile : 0x1000 + 16 * tcBin2Dec(this.fetchTile);
+    const vram = this.fetchAttrs & PPU.ATTR_VRAM_BANK ? this.mmu.vram1 : this.mmu.vram0;
+    const row = this.fetchAttrs & PPU.ATTR_FLIP_Y ? 7 - this.fetchRow : this.fetchRow;
+    return vram[base + row * 2 + high];
+  }
 
-    if (this.LCDC & PPU.LCDC_BGWIN_TILEDATA) {
-      // Use address 0x8000
-      index = 16 * tileIndex;
+  // Push the fetched row to the BG FIFO as color | palette << 2 | priority << 5
+  pushTile() {
+    const attrs = ((this.fetchAttrs & 0x07) << 2) | (this.fetchAttrs & PPU.ATTR_PRIORITY ? 0x20 : 0);
+    for (let n = 0; n < 8; n++) {
+      const bit = this.fetchAttrs & PPU.ATTR_FLIP_X ? n : 7 - n;
+      const colorId = (((this.fetchHigh >> bit) & 1) << 1) | ((this.fetchLow >> bit) & 1);
+      this.bgFifo[n] = colorId | attrs;
     }
-    else {
-      // Use address 0x9000
-      index = 0x1000 + (16 * tcBin2Dec(tileIndex)); // Use signed tile index
+    this.bgHead = 0;
+    this.bgLength = 8;
+  }
+
+  // Fetch an object's row and mix it into the object FIFO. Pixels already in the FIFO
+  // belong to objects with a lower X and keep priority, on CGB the lower OAM index wins
+  fetchSprite(sprite) {
+    const height = this.LCDC & PPU.LCDC_OBJ_SIZE ? 16 : 8;
+    let row = this.y - (sprite.y - 16); // sprite.y is vertical position on screen + 16
+    if (row < 0 || row >= height) {
+      return;
+    }
+    if (sprite.flipY) {
+      row = height - 1 - row;
     }
-    for (let offset = 0; offset < 16; offset++) {
-      tile[offset] = vram[index + offset]; // Faster to access vram array directly
+    // sprite index: ignore bit 0 when in 8x16 sprite mode
+    const tileIndex = height === 16 ? sprite.tileIndex & ~0x1 : sprite.tileIndex;
+    const vram = (this.dmg.cgbMode && sprite.cgbVramBank1) ? this.mmu.vram1 : this.mmu.vram0;
+    const low = vram[tileIndex * 16 + row * 2];
+    const high = vram[tileIndex * 16 + row * 2 + 1];
+    const palette = this.dmg.cgbMode ? sprite.cgbPaletteId : (sprite.obp ? 1 : 0);
+    const attrs = (palette << 2) | (sprite.bgPriority ? 0x20 : 0);
+
+    for (let n = 0; n < 8; n++) {
+      const slot = sprite.x - 8 + n - this.x; // sprite.x is horizontal position on screen + 8
+      if (slot < 0) {
+        continue;
+      }
+      const bit = sprite.flipX ? n : 7 - n;
+      const colorId = (((high >> bit) & 1) << 1) | ((low >> bit) & 1);
+      const index = (this.objHead + slot) & 7;
+      const current = this.objFifo[index];
+      if (colorId && (! (current & 0x3) || (this.dmg.cgbMode && sprite.oamIndex < this.objIndex[index]))) {
+        this.objFifo[index] = colorId | attrs;
+        this.objIndex[index] = sprite.oamIndex;
+      }
     }
-    return tile;
   }
 
-  cgbDrawBackground(x, y) {
-    // BG tilemap begins at 0x9800 or 0x9c000
-    const base = this.LCDC & PPU.LCDC_BG_TILEMAP ? 0x9c00 : 0x9800;
-    const tileIndex = this.getTileIndex(x + this.scrollX, y + this.scrollY, this.mmu.vram, base);
+  // Shift one pixel out of the FIFOs to the LCD
+  shiftPixel() {
+    if (this.bgLength === 0) {
+      return;
+    }
+    const bg = this.bgFifo[this.bgHead++];
+    this.bgLength--;
 
-    // CGB BG attributes
-    const bgAttrs = this.getTileIndex(x + this.scrollX, y + this.scrollY, this.mmu.vram1, base);
-    const paletteId = bgAttrs & 0x7;
+    // Fine scroll drops the first SCX % 8 pixels of the line
+    if (this.discard > 0) {
+      this.discard--;
+      return;
+    }
+    const obj = this.objFifo[this.objHead];
+    this.objFifo[this.objHead] = 0;
+    this.objHead = (this.objHead + 1) & 7;
+    this.drawPixel(this.x, this.y, this.mixPixel(bg, obj));
+    this.x++;
+  }
 
-    // Check if tile data stored in second VRAM bank
-    const vram = ((bgAttrs & (1 << 3)) !== 0) ? this.mmu.vram1 : this.mmu.vram;
-    const tile = this.getTileData(tileIndex, vram);
-    const tileX = (x + this.scrollX) % this.tileSize;
-    const tileY = (y + this.scrollY) % this.tileSize;
+  // Color of a BG FIFO pixel mixed with an object FIFO pixel
+  mixPixel(bg, obj) {
+    const bgColorId = bg & 0x3;
+    const objColorId = this.LCDC & PPU.LCDC_OBJ_ENABLE ? obj & 0x3 : 0;
 
-    const bgColorId = this.getPixelColorId(tile, tileX, tileY);
-    const rgb = this.cgbGetColorRGB(bgColorId, paletteId, this.mmu.bgPalette);
+    if (this.dmg.cgbMode) {
+      // LCDC bit 0 clear puts objects above the BG regardless of priority bits
+      const objAbove = ! (this.LCDC & PPU.LCDC_BGWIN_ENABLE) || bgColorId === 0 || ! ((bg | obj) & 0x20);
+      if (objColorId && objAbove) {
+        return this.cgbGetColorRGB(objColorId, (obj >> 2) & 0x7, this.mmu.objPalette);
+      }
+      return this.cgbGetColorRGB(bgColorId, (bg >> 2) & 0x7, this.mmu.bgPalette);
+    }
 
-    this.drawPixel(x, y, rgb);
+    // BG and window are blank (white) when disabled
+    const bgEnabled = this.LCDC & PPU.LCDC_BGWIN_ENABLE;
+    if (objColorId && ! (obj & 0x20 && bgEnabled && bgColorId > 0)) {
+      return this.getColorRGB(objColorId, obj & 0x4 ? this.OBP1 : this.OBP0);
+    }
+    return bgEnabled ? this.getColorRGB(bgColorId, this.BGP) : this.palette[0];
+  }
 
-    // Save color id of pixel x, y for bg/obj priority when rendering sprites
-    this.bgColorId = bgColorId;
+  // Mode 3 length for a fast mode line, from the same penalties as the pixel FIFO
+  getTransferDots() {
+    const windowX = this.isWindowOnLine() ? this.getWindowStart() : PPU.VIEWPORT_WIDTH;
+    let dots = PPU.VIEWPORT_WIDTH + 2 * PPU.FIRST_FETCH_DOTS;
+    if (windowX === 0) {
+      dots += this.windowWrap ? 0 : Math.max(0, -this.winX);
+    }
+    else {
+      dots += this.scrollX & 7;
+      if (windowX < PPU.VIEWPORT_WIDTH) {
+        dots += PPU.FIRST_FETCH_DOTS;
+      }
+    }
+    if (this.LCDC & PPU.LCDC_OBJ_ENABLE) {
+      let penaltyTile = -1;
+      for (const sprite of this.sprites) {
+        const x = Math.max(0, sprite.x - 8);
+        if (x >= PPU.VIEWPORT_WIDTH) {
+          break;
+        }
+        const tileX = x > windowX ? x - this.winX + 0x100 : x + this.scrollX;
+        dots += PPU.SPRITE_FETCH_DOTS;
+        if (tileX >> 3 !== penaltyTile) {
+          dots += Math.max(0, 5 - (tileX & 7));
+          penaltyTile = tileX >> 3;
+        }
+      }
+    }
+    return dots;
   }
 
-  // Draws a single pixel of the BG tilemap for x, y
-  drawBackground(x, y) {
-    // BG tilemap begins at 0x9800 or 0x9c000
-    const base = this.LCDC & PPU.LCDC_BG_TILEMAP ? 0x9c00 : 0x9800;
-    const tileIndex = this.getTileIndex(x + this.scrollX, y + this.scrollY, this.mmu.vram, base);
-    const tile = this.getTileData(tileIndex, this.mmu.vram);
-    const tileX = (x + this.scrollX) % this.tileSize;
-    const tileY = (y + this.scrollY) % this.tileSize;
-    const bgColorId = this.getPixelColorId(tile, tileX, tileY);
-    const rgb = this.getColorRGB(bgColorId, this.BGP);
+  // Fast mode: render the current line from the tile cache
+  renderLine() {
+    const bgMap = this.LCDC & PPU.LCDC_BG_TILEMAP ? 0x1c00 : 0x1800;
+    this.renderTiles(0, bgMap, (this.y + this.scrollY) & 0xff, this.scrollX);
 
-    this.drawPixel(x, y, rgb);
+    if (this.isWindowOnLine()) {
+      const winMap = this.LCDC & PPU.LCDC_WIN_TILEMAP ? 0x1c00 : 0x1800;
+      this.renderTiles(this.getWindowStart(), winMap, this.windowLine, this.windowWrap ? 0 : -this.winX);
+      this.window = true;
+    }
+
+    this.lineObj.fill(0);
+    if (this.LCDC & PPU.LCDC_OBJ_ENABLE) {
+      for (const sprite of this.sprites) {
+        this.renderSprite(sprite);
+      }
+    }
 
-    // Save color id of pixel x, y for bg/obj priority when rendering sprites
-    this.bgColorId = bgColorId;
+    this.updateLineColors();
+    this.drawLine();
   }
 
-  drawWindow(x, y) {
-    // Check if x, y within window boundary
-    if (x < this.winX || y < this.winY) {
+  // Pack the colors of every palette for this line, so drawLine() looks pixels up directly
+  updateLineColors() {
+    const colors = this.lineColors;
+    if (this.dmg.cgbMode) {
+      for (let n = 0; n < 32; n++) {
+        colors[n] = this.packColor(this.cgbGetColorRGB(n & 0x3, n >> 2, this.mmu.bgPalette));
+        colors[32 + n] = this.packColor(this.cgbGetColorRGB(n & 0x3, n >> 2, this.mmu.objPalette));
+      }
       return;
     }
-    // Window tilemap begins at 0x9800 or 9c000
-    const base = this.LCDC & PPU.LCDC_WIN_TILEMAP ? 0x9c00 : 0x9800;
+    // BG and window are blank (white) when disabled
+    const bgEnabled = this.LCDC & PPU.LCDC_BGWIN_ENABLE;
+    for (let n = 0; n < 4; n++) {
+      colors[n] = this.packColor(bgEnabled ? this.getColorRGB(n, this.BGP) : this.palette[0]);
+      colors[32 + n] = this.packColor(this.getColorRGB(n, this.OBP0));
+      colors[36 + n] = this.packColor(this.getColorRGB(n, this.OBP1));
+    }
+  }
 
-    const tileIndex = this.getTileIndex(x - this.winX, y - this.winY, this.mmu.vram, base);
-    const tileX = (x - this.winX) % this.tileSize;
-    const tileY = (y - this.winY) % this.tileSize;
+  // Write the line's pixels to the frame buffer with the same priority rules as mixPixel():
+  // BG colors 1-3 cover objects when either has the priority bit and the BG is enabled
+  drawLine() {
+    const colors = this.lineColors;
+    const bgEnabled = this.LCDC & PPU.LCDC_BGWIN_ENABLE;
+    const offset = this.y * PPU.VIEWPORT_WIDTH;
+    for (let x = 0; x < PPU.VIEWPORT_WIDTH; x++) {
+      const bg = this.lineBg[x];
+      const obj = this.lineObj[x];
+      if ((obj & 0x3) && ! (bgEnabled && (bg & 0x3) && ((bg | obj) & 0x20))) {
+        this.frameBuf32[offset + x] = colors[32 + (obj & 0x1f)];
+      }
+      else {
+        this.frameBuf32[offset + x] = colors[bg & 0x1f];
+      }
+    }
+  }
 
-    if (this.dmg.cgbMode) {
-      const bgAttrs = this.getTileIndex(x + this.scrollX, y + this.scrollY, this.mmu.vram1, base);
-      const paletteId = bgAttrs & 0x7;
+  // Fill the line's BG pixels from (start) with tiles from (map) row (line),
+  // pixel x shows column x + (offset) of the map
+  renderTiles(start, map, line, offset) {
+    const cache = this.tileCache;
+    const mapRow = map + (line >> 3) * 32;
+    for (let x = start; x < PPU.VIEWPORT_WIDTH;) {
+      const mapX = (x + offset) & 0xff;
+      const addr = mapRow + (mapX >> 3);
+      const tileIndex = this.mmu.vram0[addr];
+      const attrs = this.dmg.cgbMode ? this.mmu.vram1[addr] : 0;
+      const tile = this.LCDC & PPU.LCDC_BGWIN_TILEDATA ? tileIndex : 256 + tcBin2Dec(tileIndex);
+      const vram = attrs & PPU.ATTR_VRAM_BANK ? this.mmu.vram1 : this.mmu.vram0;
+      const row = attrs & PPU.ATTR_FLIP_Y ? 7 - (line & 7) : line & 7;
+      const pixels = cache.getRow(vram, attrs & PPU.ATTR_VRAM_BANK ? 1 : 0, tile, row);
+      const packed = ((attrs & 0x07) << 2) | (attrs & PPU.ATTR_PRIORITY ? 0x20 : 0);
+      const flipX = attrs & PPU.ATTR_FLIP_X;
+
+      for (let col = mapX & 7; col < 8 && x < PPU.VIEWPORT_WIDTH; col++, x++) {
+        this.lineBg[x] = cache.pixels[pixels + (flipX ? 7 - col : col)] | packed;
+      }
+    }
+  }
 
-      // Check if tile data stored in second VRAM bank
-      const vram = ((bgAttrs & (1 << 3)) !== 0) ? this.mmu.vram1 : this.mmu.vram;
-      const tile = this.getTileData(tileIndex, vram);
-      const colorId = this.getPixelColorId(tile, tileX, tileY);
-      const rgb = this.cgbGetColorRGB(colorId, paletteId, this.mmu.bgPalette);
-      this.drawPixel(x, y, rgb);
+  // Mix an object's row into the line with the same priority rules as fetchSprite()
+  renderSprite(sprite) {
+    const height = this.LCDC & PPU.LCDC_OBJ_SIZE ? 16 : 8;
+    let row = this.y - (sprite.y - 16); // sprite.y is vertical position on screen + 16
+    if (row < 0 || row >= height) {
+      return;
     }
-    else {
-      const tile = this.getTileData(tileIndex, this.mmu.vram);
-      const colorId = this.getPixelColorId(tile, tileX, tileY);
-      const rgb = this.getColorRGB(colorId, this.BGP);
-      this.drawPixel(x, y, rgb);
+    if (sprite.flipY) {
+      row = height - 1 - row;
+    }
+    // sprite index: ignore bit 0 when in 8x16 sprite mode
+    const tile = (height === 16 ? sprite.tileIndex & ~0x1 : sprite.tileIndex) + (row >> 3);
+    const bank = this.dmg.cgbMode && sprite.cgbVramBank1 ? 1 : 0;
+    const pixels = this.tileCache.getRow(bank ? this.mmu.vram1 : this.mmu.vram0, bank, tile, row & 7);
+    const palette = this.dmg.cgbMode ? sprite.cgbPaletteId : (sprite.obp ? 1 : 0);
+    const attrs = (palette << 2) | (sprite.bgPriority ? 0x20 : 0);
+
+    for (let n = 0; n < 8; n++) {
+      const x = sprite.x - 8 + n; // sprite.x is horizontal position on screen + 8
+      if (x < 0 || x >= PPU.VIEWPORT_WIDTH) {
+        continue;
+      }
+      const colorId = this.tileCache.pixels[pixels + (sprite.flipX ? 7 - n : n)];
+      const current = this.lineObj[x];
+      if (colorId && (! (current & 0x3) || (this.dmg.cgbMode && sprite.oamIndex < this.lineObjIndex[x]))) {
+        this.lineObj[x] = colorId | attrs;
+        this.lineObjIndex[x] = sprite.oamIndex;
+      }
     }
   }
 
-  // Get color id of tile data at pixel x,y
-  getPixelColorId(tile, x, y) {
-    // test tile from https://www.huderlem.com/demos/gameboy2bpp.html
-    //tile = [0xFF, 0x00, 0x7E, 0xFF, 0x85, 0x81, 0x89, 0x83, 0x93, 0x85, 0xA5, 0x8B, 0xC9, 0x97, 0x7E, 0xFF];
-    const left = tile[y * 2];
-    const right = tile[(y * 2) + 1];
-    const bit = 1 << 7 - x;
-    const hi = right & bit ? 1 : 0;
-    const lo = left & bit ? 1 : 0;
-    return (hi << 1) + lo;
+  // VRAM (bank) was written at (addr), drop the decoded tile
+  invalidateTile(bank, addr) {
+    if (addr < 0x1800) {
+      this.tileCache.invalidate(bank, addr >> 4);
+    }
+  }
+
+  getColorRGB(colorId, palette) {
+    return this.palette[(palette >> (2 * colorId)) & 0b11];
+  }
+
+  cgbGetColorRGB(colorId, paletteId, ram) {
+    const offset = paletteId * 8 + colorId * 2;
+    const color = uint16(ram[offset + 1], ram[offset]);
+
+    // Convert from 15 to 24-bit color
+    // TODO: Is there a better way to do it?
+    return [
+      (color & 0x1f) * 8,
+      ((color >> 5) & 0x1f) * 8,
+      ((color >> 10) & 0x1f) * 8,
+    ];
+  }
+
+  // RGB color as a Uint32 with the RGBA bytes in memory order, for writes through frameBuf32
+  packColor(rgb) {
+    this.rgba[0] = rgb[0];
+    this.rgba[1] = rgb[1];
+    this.rgba[2] = rgb[2];
+    this.rgba[3] = 255; // alpha
+    return this.rgba32[0];
   }
 
   // Get sprite OAM data at (index)
   getSpriteOAM(index) {
     const oam = this.mmu.oam;
     const offset = index * 4;
-    const flags = oam[offset + 3];
+    return this.createSprite(index, oam[offset], oam[offset + 1], oam[offset + 2], oam[offset + 3]);
+  }
+
+  createSprite(index, y, x, tileIndex, flags) {
+    const offset = index * 4;
     return {
-      y: oam[offset],
-      x: oam[offset + 1],
-      tileIndex: oam[offset + 2],
+      y: y,
+      x: x,
+      tileIndex: tileIndex,
+      flags: flags,
       bgPriority: flags & (1 << 7) ? true : false,
       flipY: flags & (1 << 6) ? true : false,
       flipX: flags & (1 << 5) ? true : false,
       obp: flags & (1 << 4) ? true : false,
       cgbVramBank1: flags & (1 << 3) ? true : false,
-      cgbPaletteId: flags & 0b11,
+      cgbPaletteId: flags & 0b111,
       oamAddress: offset,
       oamIndex: index,
     };
   }
 
-  getSpriteData(spriteIndex, vram) {
-    const end = this.spriteHeight * 2;
-    const sprite = new Uint8Array(32);
-    // sprite index: ignore bit 0 when in 8x16 sprite mode
-    if (this.spriteHeight === 16) {
-      spriteIndex &= ~0x1;
-    }
-    for (let offset = 0; offset < end; offset++) {
-      sprite[offset] = vram[(spriteIndex * 16) + offset];
-    }
-    return sprite;
-  }
-
+  // OAM scan: the first 10 objects on (line) in OAM order, sorted by X for fetching
   getSpritesForLine(line) {
     const oam = this.mmu.oam;
     const sprites = [];
+    this.spriteHeight = this.LCDC & PPU.LCDC_OBJ_SIZE ? 16 : 8;
 
-    for (let index = 0; index < 40; index++) {
+    for (let index = 0; index < 40 && sprites.length < PPU.MAX_SPRITES_PER_LINE; index++) {
       const spriteY = oam[index * 4] - 16; // sprite.y is vertical position on screen + 16
       if (spriteY <= line && spriteY + this.spriteHeight > line) {
         sprites.push(this.getSpriteOAM(index));
       }
-      // Max 10 sprites per line
-      if (sprites.length > 10) {
-        break;
-      }
     }
-    return sprites;
+    return sprites.sort((a, b) => a.x - b.x);
   }
 
-  drawSprites(x, y) {
-    this.spriteHeight = this.LCDC & PPU.LCDC_OBJ_SIZE ? 16 : 8;
-
-    for (let n = 0; n < this.sprites.length; n++) {
-      const sprite = this.sprites[n];
-
-      if (x >= sprite.x - 8 && x < sprite.x) {
-        const vram = (this.dmg.cgbMode && sprite.cgbVramBank1) ? this.mmu.vram1 : this.mmu.vram;
-        const tile = this.getSpriteData(sprite.tileIndex, vram);
-
-        let tileX = x - (sprite.x - 8); // sprite.x is horizontal position on screen + 8
-        let tileY = y - (sprite.y - 16); // sprite.y is vertical position on screen + 16
-
-        if (sprite.flipX) {
-          tileX = 7 - tileX;
-        }
-        if (sprite.flipY) {
-          tileY = (this.spriteHeight - 1) - tileY;
-        }
-        const colorId = this.getPixelColorId(tile, tileX, tileY);
-
-        // BG over obj priority
-        if (sprite.bgPriority && this.bgColorId > 0) {
-          continue;
-        }
-        // transparent pixel
-        if (colorId == 0) {
-          continue;
-        }
-        if (this.dmg.cgbMode) {
-          const rgb = this.cgbGetColorRGB(colorId, sprite.cgbPaletteId, this.mmu.objPalette);
-          this.drawPixel(x, y, rgb);
-        }
-        else {
-          const rgb = this.getColorRGB(colorId, this.readByte(sprite.obp ? PPU.OBP1 : PPU.OBP0));
-          this.drawPixel(x, y, rgb);
-        }
+  // Show a blank screen while the LCD is off in STOP mode
+  blankScreen() {
+    for (let y = 0; y < PPU.VIEWPORT_HEIGHT; y++) {
+      for (let x = 0; x < PPU.VIEWPORT_WIDTH; x++) {
+        this.drawPixel(x, y, this.palette[0]);
       }
     }
+    if (this.screen) {
+      this.screen.update(this.frameBuf);
+    }
   }
 
   drawPixel(x, y, rgb) {
-    const data = this.frameBuf.data;
+    const data = this.frameBuf;
     const offset = (y * PPU.VIEWPORT_WIDTH + x) * 4;
 
     data[offset] = rgb[0];
@@ -506,4 +920,44 @@ class PPU {
     data[offset + 3] = 255; // alpha
   }
 }
-window.PPU = PPU;
+
+// Decoded 8x8 tiles (color ids 0-3) for the fast renderer
+// Tiles are decoded on first use after VRAM writes to their data
+class TileCache {
+  static TILES = 384; // Tiles per VRAM bank
+
+  constructor() {
+    this.pixels = new Uint8Array(2 * TileCache.TILES * 64);
+    this.valid = new Uint8Array(2 * TileCache.TILES);
+  }
+
+  invalidate(bank, tile) {
+    this.valid[bank * TileCache.TILES + tile] = 0;
+  }
+
+  invalidateAll() {
+    this.valid.fill(0);
+  }
+
+  // Offset in this.pixels of (row) of (tile) from (vram) (bank)
+  getRow(vram, bank, tile, row) {
+    const index = bank * TileCache.TILES + tile;
+    if (! this.valid[index]) {
+      this.decode(vram, index, tile);
+    }
+    return index * 64 + row * 8;
+  }
+
+  decode(vram, index, tile) {
+    const offset = index * 64;
+    for (let row = 0; row < 8; row++) {
+      const low = vram[tile * 16 + row * 2];
+      const high = vram[tile * 16 + row * 2 + 1];
+      for (let col = 0; col < 8; col++) {
+        const bit = 7 - col;
+        this.pixels[offset + row * 8 + col] = (((high >> bit) & 1) << 1) | ((low >> bit) & 1);
+      }
+    }
+    this.valid[index] = 1;
+  }
+}
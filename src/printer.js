@@ -0,0 +1,262 @@
+// Game Boy Printer
+//
+// The Game Boy clocks packets to the printer over the serial port:
+//   0x88 0x33, command, compression, length (LSB first), data, checksum (LSB first), 0x00, 0x00
+// The printer answers 0x81 to the first trailing 0x00 and its status to the second.
+// Image data is sent as 2bpp tiles, 20 tiles per row and 2 tile rows per data packet,
+// optionally RLE compressed. A print command renders the buffer with a palette and exposure.
+// More info at https://gbdev.io/pandocs/Gameboy_Printer.html
+//
+// Prints without a margin after them continue on the same sheet until cut() is called.
+// Each finished sheet is passed to onPrint as {width, height, data} with 160 pixel wide RGBA data.
+class Printer {
+  // Commands
+  static INIT = 0x01;
+  static PRINT = 0x02;
+  static DATA = 0x04;
+  static BREAK = 0x08;
+  static STATUS = 0x0f;
+
+  // Status bits
+  static STATUS_CHECKSUM_ERROR = 1 << 0;
+  static STATUS_BUSY = 1 << 1;
+  static STATUS_FULL = 1 << 2;        // image data complete, ready to print
+  static STATUS_UNPROCESSED = 1 << 3; // image data received but not printed
+
+  static ALIVE = 0x81; // Answer to the first trailing byte of a packet
+
+  static WIDTH = 160;
+  static TILES_PER_ROW = 20;
+  static MAX_DATA = 0x280 * 9; // 160x144 pixels
+
+  // Status inquiries answered busy after a print
+  static PRINT_BUSY_STATUS = 4;
+
+  // Blank pixel rows fed per margin unit
+  static MARGIN_ROWS = 16;
+
+  // Gray level of each shade, before exposure
+  static SHADES = [0xff, 0xaa, 0x55, 0x00];
+
+  // Packet parser states
+  static MAGIC1 = 0;
+  static MAGIC2 = 1;
+  static COMMAND = 2;
+  static COMPRESSION = 3;
+  static LENGTH_LO = 4;
+  static LENGTH_HI = 5;
+  static PACKET_DATA = 6;
+  static CHECKSUM_LO = 7;
+  static CHECKSUM_HI = 8;
+  static ANSWER_ALIVE = 9;
+  static ANSWER_STATUS = 10;
+
+  constructor(onPrint = null) {
+    this.onPrint = onPrint; // Called with {width, height, data} for each finished sheet
+    this.state = Printer.MAGIC1;
+    this.command = 0;
+    this.compressed = false;
+    this.length = 0;
+    this.packet = [];
+    this.sum = 0;
+    this.checksum = 0;
+    this.status = 0;
+    this.busy = 0;
+    this.data = []; // Decompressed image data waiting to be printed
+    this.paper = []; // RGBA rows printed on the current sheet
+  }
+
+  // Serial peer: the Game Boy clocked out (value)
+  transfer(value) {
+    switch (this.state) {
+      case Printer.MAGIC1:
+        if (value === 0x88) {
+          this.state = Printer.MAGIC2;
+        }
+        break;
+      case Printer.MAGIC2:
+        this.state = value === 0x33 ? Printer.COMMAND : Printer.MAGIC1;
+        break;
+      case Printer.COMMAND:
+        this.command = value;
+        this.sum = value;
+        this.state = Printer.COMPRESSION;
+        break;
+      case Printer.COMPRESSION:
+        this.compressed = (value & 1) !== 0;
+        this.sum += value;
+        this.state = Printer.LENGTH_LO;
+        break;
+      case Printer.LENGTH_LO:
+        this.length = value;
+        this.sum += value;
+        this.state = Printer.LENGTH_HI;
+        break;
+      case Printer.LENGTH_HI:
+        this.length |= value << 8;
+        this.sum += value;
+        this.packet = [];
+        this.state = this.length ? Printer.PACKET_DATA : Printer.CHECKSUM_LO;
+        break;
+      case Printer.PACKET_DATA:
+        this.packet.push(value);
+        this.sum += value;
+        if (this.packet.length === this.length) {
+          this.state = Printer.CHECKSUM_LO;
+        }
+        break;
+      case Printer.CHECKSUM_LO:
+        this.checksum = value;
+        this.state = Printer.CHECKSUM_HI;
+        break;
+      case Printer.CHECKSUM_HI:
+        this.checksum |= value << 8;
+        if (this.checksum === (this.sum & 0xffff)) {
+          this.status &= ~Printer.STATUS_CHECKSUM_ERROR;
+          this.runCommand();
+        }
+        else {
+          this.status |= Printer.STATUS_CHECKSUM_ERROR;
+        }
+        this.state = Printer.ANSWER_ALIVE;
+        break;
+      case Printer.ANSWER_ALIVE:
+        this.state = Printer.ANSWER_STATUS;
+        return Printer.ALIVE;
+      case Printer.ANSWER_STATUS:
+        this.state = Printer.MAGIC1;
+        return this.status;
+      default:
+    }
+    return 0x00;
+  }
+
+  runCommand() {
+    switch (this.command) {
+      case Printer.INIT:
+        this.data = [];
+        this.busy = 0;
+        this.status = 0;
+        break;
+
+      // An empty data packet marks the end of the image data
+      case Printer.DATA:
+        if (this.packet.length === 0) {
+          this.status |= Printer.STATUS_FULL;
+        }
+        else {
+          const data = this.compressed ? this.decompress(this.packet) : this.packet;
+          this.data.push(...data.slice(0, Printer.MAX_DATA - this.data.length));
+          this.status |= Printer.STATUS_UNPROCESSED;
+        }
+        break;
+
+      case Printer.PRINT:
+        if (this.packet.length >= 4) {
+          const [sheets, margins, palette, exposure] = this.packet;
+          this.print(sheets, margins >> 4, margins & 0x0f, palette, exposure);
+          this.busy = Printer.PRINT_BUSY_STATUS;
+          this.status |= Printer.STATUS_BUSY;
+        }
+        break;
+
+      case Printer.BREAK:
+        this.data = [];
+        this.busy = 0;
+        this.status &= ~(Printer.STATUS_BUSY | Printer.STATUS_FULL | Printer.STATUS_UNPROCESSED);
+        break;
+
+      // Printing finishes after a few inquiries
+      case Printer.STATUS:
+        if (this.busy > 0 && --this.busy === 0) {
+          this.status &= ~(Printer.STATUS_BUSY | Printer.STATUS_FULL | Printer.STATUS_UNPROCESSED);
+        }
+        break;
+      default:
+    }
+  }
+
+  // RLE: bit 7 set repeats the next byte (n & 0x7f) + 2 times, otherwise n + 1 bytes follow
+  decompress(packet) {
+    const data = [];
+    for (let n = 0; n < packet.length;) {
+      const control = packet[n++];
+      if (control & 0x80) {
+        const value = packet[n++];
+        for (let count = (control & 0x7f) + 2; count > 0; count--) {
+          data.push(value);
+        }
+      }
+      else {
+        data.push(...packet.slice(n, n + control + 1));
+        n += control + 1;
+      }
+    }
+    return data;
+  }
+
+  // Print the image data (sheets) times, 0 sheets only feeds the margins
+  print(sheets, marginBefore, marginAfter, palette, exposure) {
+    this.feed(marginBefore * Printer.MARGIN_ROWS);
+    const rows = this.render(palette, exposure);
+    for (let n = 0; n < sheets; n++) {
+      this.paper.push(...rows);
+    }
+    this.data = [];
+    this.feed(marginAfter * Printer.MARGIN_ROWS);
+    if (marginAfter > 0) {
+      this.cut();
+    }
+  }
+
+  // Blank paper
+  feed(rows) {
+    for (let n = 0; n < rows; n++) {
+      this.paper.push(new Uint8ClampedArray(Printer.WIDTH * 4).fill(0xff));
+    }
+  }
+
+  // Decode the image data to RGBA rows
+  // Palette maps each color to a shade like BGP (0 means the default 0xe4). Exposure
+  // 0x00-0x7f makes the print up to 25% lighter or darker, 0x40 is normal
+  render(palette, exposure) {
+    palette = palette || 0xe4;
+    const darkness = 1 + ((exposure & 0x7f) - 0x40) / 0x100;
+    const levels = [0, 1, 2, 3].map((color) => {
+      const shade = (palette >> (color * 2)) & 0x03;
+      return 0xff - (0xff - Printer.SHADES[shade]) * darkness;
+    });
+
+    const rows = [];
+    const tileRows = Math.floor(this.data.length / (Printer.TILES_PER_ROW * 16));
+    for (let y = 0; y < tileRows * 8; y++) {
+      const row = new Uint8ClampedArray(Printer.WIDTH * 4);
+      for (let x = 0; x < Printer.WIDTH; x++) {
+        const tile = (y >> 3) * Printer.TILES_PER_ROW + (x >> 3);
+        const addr = tile * 16 + (y & 7) * 2;
+        const bit = 7 - (x & 7);
+        const color = (((this.data[addr + 1] >> bit) & 1) << 1) | ((this.data[addr] >> bit) & 1);
+        const offset = x * 4;
+        row[offset] = row[offset + 1] = row[offset + 2] = levels[color];
+        row[offset + 3] = 0xff;
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // Tear off the current sheet and pass it to onPrint
+  // Called after a print with a margin, or by the host to flush a sheet still on the printer
+  cut() {
+    if (this.paper.length === 0) {
+      return;
+    }
+    const data = new Uint8ClampedArray(Printer.WIDTH * 4 * this.paper.length);
+    this.paper.forEach((row, y) => data.set(row, y * Printer.WIDTH * 4));
+    const image = { width: Printer.WIDTH, height: this.paper.length, data };
+    this.paper = [];
+    if (this.onPrint) {
+      this.onPrint(image);
+    }
+  }
+}
@@ -0,0 +1,213 @@
+// MBC3 real-time clock
+class RTC {
+  // RTC register numbers (selected by writing 0x08-0x0c to 0x4000-0x5fff)
+  static RTC_S  = 0x08; // Seconds 0-59
+  static RTC_M  = 0x09; // Minutes 0-59
+  static RTC_H  = 0x0a; // Hours 0-23
+  static RTC_DL = 0x0b; // Lower 8 bits of day counter
+  static RTC_DH = 0x0c; // Bit 0: day counter bit 8, bit 6: halt, bit 7: day counter carry
+
+  static DH_HALT  = 1 << 6;
+  static DH_CARRY = 1 << 7;
+
+  // Size of the clock data appended to battery saves (BGB/VBA format)
+  static SAVE_SIZE = 48;
+
+  constructor(syncHostTime) {
+    // Sync the clock to the host's time when loading saved clock data
+    this.syncHostTime = syncHostTime;
+    this.cycles = 0;
+    this.seconds = 0;
+    this.minutes = 0;
+    this.hours = 0;
+    this.days = 0;
+    this.halt = false;
+    this.carry = false;
+    this.latched = new Uint8Array(5);
+    this.latchValue = null;
+  }
+
+  saveState(state) {
+    state.bytes(this.getRegisters());
+    state.bytes(this.latched);
+    state.i32(this.cycles);
+    state.i32(this.latchValue === null ? -1 : this.latchValue);
+  }
+
+  loadState(state) {
+    this.setRegisters(state.bytes());
+    state.into(this.latched);
+    this.cycles = state.i32();
+    const latchValue = state.i32();
+    this.latchValue = latchValue === -1 ? null : latchValue;
+  }
+
+  // Advance the clock by (n) CPU cycles
+  update(cycles) {
+    if (this.halt) {
+      return;
+    }
+    this.cycles += cycles;
+    while (this.cycles >= CPU.CLOCK_SPEED) {
+      this.cycles -= CPU.CLOCK_SPEED;
+      this.tick();
+    }
+  }
+
+  // Increment the clock by one second
+  // Out of range values keep counting until their register overflows
+  tick() {
+    if (this.seconds !== 59) {
+      this.seconds = (this.seconds + 1) & 0x3f;
+      return;
+    }
+    this.seconds = 0;
+
+    if (this.minutes !== 59) {
+      this.minutes = (this.minutes + 1) & 0x3f;
+      return;
+    }
+    this.minutes = 0;
+
+    if (this.hours !== 23) {
+      this.hours = (this.hours + 1) & 0x1f;
+      return;
+    }
+    this.hours = 0;
+
+    if (this.days === 511) {
+      this.days = 0;
+      this.carry = true;
+    }
+    else {
+      this.days++;
+    }
+  }
+
+  // Advance the clock by a number of seconds
+  advance(seconds) {
+    let total = this.seconds + this.minutes * 60 + this.hours * 3600 + this.days * 86400 + seconds;
+    const days = Math.floor(total / 86400);
+    if (days > 511) {
+      this.carry = true;
+    }
+    this.days = days & 0x1ff;
+    total %= 86400;
+    this.hours = Math.floor(total / 3600);
+    total %= 3600;
+    this.minutes = Math.floor(total / 60);
+    this.seconds = total % 60;
+  }
+
+  // Copy the clock registers to the latched registers when 0x00 then 0x01 is written
+  latch(value) {
+    if (this.latchValue === 0 && value === 1) {
+      this.latched.set(this.getRegisters());
+    }
+    this.latchValue = value;
+  }
+
+  getRegisters() {
+    return [
+      this.seconds,
+      this.minutes,
+      this.hours,
+      this.days & 0xff,
+      (this.days >> 8) | (this.halt ? RTC.DH_HALT : 0) | (this.carry ? RTC.DH_CARRY : 0),
+    ];
+  }
+
+  setRegisters(regs) {
+    this.seconds = regs[0] & 0x3f;
+    this.minutes = regs[1] & 0x3f;
+    this.hours = regs[2] & 0x1f;
+    this.days = regs[3] | ((regs[4] & 1) << 8);
+    this.halt = (regs[4] & RTC.DH_HALT) !== 0;
+    this.carry = (regs[4] & RTC.DH_CARRY) !== 0;
+  }
+
+  // Reads return the latched value of a register
+  readByte(reg) {
+    switch (reg) {
+      case RTC.RTC_S:
+        return this.latched[0] | 0xc0;
+      case RTC.RTC_M:
+        return this.latched[1] | 0xc0;
+      case RTC.RTC_H:
+        return this.latched[2] | 0xe0;
+      case RTC.RTC_DL:
+        return this.latched[3];
+      case RTC.RTC_DH:
+        return this.latched[4] | 0x3e;
+      default:
+        return 0xff;
+    }
+  }
+
+  // Writes go directly to the clock registers, reads show them after the next latch
+  // Returns true if the clock registers changed
+  writeByte(reg, value) {
+    const regs = this.getRegisters();
+    const index = reg - RTC.RTC_S;
+
+    if (index < 0 || index > 4) {
+      return false;
+    }
+    // Writing seconds resets the sub-second counter
+    if (reg === RTC.RTC_S) {
+      this.cycles = 0;
+    }
+    const old = regs[index];
+    regs[index] = value;
+    this.setRegisters(regs);
+    return this.getRegisters()[index] !== old;
+  }
+
+  // Export clock state as 48 bytes:
+  // 5 clock registers and 5 latched registers (32-bit LE), followed by a 64-bit UNIX timestamp
+  save() {
+    const data = new Uint8Array(RTC.SAVE_SIZE);
+    const view = new DataView(data.buffer);
+    const regs = this.getRegisters();
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    for (let n = 0; n < 5; n++) {
+      view.setUint32(n * 4, regs[n], true);
+      view.setUint32(20 + n * 4, this.latched[n], true);
+    }
+    view.setUint32(40, timestamp % 0x100000000, true);
+    view.setUint32(44, Math.floor(timestamp / 0x100000000), true);
+    return data;
+  }
+
+  // Restore clock state exported by save()
+  // If syncHostTime is set, the clock is advanced by the time passed since it was saved
+  load(data) {
+    if (data.length < RTC.SAVE_SIZE - 4) {
+      console.error("Invalid RTC data");
+      return;
+    }
+    const bytes = Uint8Array.from(data);
+    const view = new DataView(bytes.buffer);
+    const regs = [];
+
+    for (let n = 0; n < 5; n++) {
+      regs.push(view.getUint32(n * 4, true) & 0xff);
+      this.latched[n] = view.getUint32(20 + n * 4, true) & 0xff;
+    }
+    this.setRegisters(regs);
+    this.cycles = 0;
+
+    if (this.syncHostTime && ! this.halt) {
+      // Some emulators only store a 32-bit timestamp
+      let timestamp = view.getUint32(40, true);
+      if (bytes.length >= RTC.SAVE_SIZE) {
+        timestamp += view.getUint32(44, true) * 0x100000000;
+      }
+      const elapsed = Math.floor(Date.now() / 1000) - timestamp;
+      if (elapsed > 0) {
+        this.advance(elapsed);
+      }
+    }
+  }
+}
@@ -0,0 +1,147 @@
+// Save state serialization
+//
+// Save states are a binary stream of little-endian values written by each component's
+// saveState(writer) and read back in the same order by loadState(reader).
+// Bump STATE_VERSION whenever the layout changes.
+class StateWriter {
+  static MAGIC = 'DMGS';
+  static STATE_VERSION = 10;
+
+  constructor() {
+    this.buffer = new Uint8Array(256 * 1024);
+    this.view = new DataView(this.buffer.buffer);
+    this.offset = 0;
+  }
+
+  // Grow buffer to fit (n) more bytes
+  reserve(n) {
+    if (this.offset + n <= this.buffer.length) {
+      return;
+    }
+    let size = this.buffer.length * 2;
+    while (size < this.offset + n) {
+      size *= 2;
+    }
+    const buffer = new Uint8Array(size);
+    buffer.set(this.buffer);
+    this.buffer = buffer;
+    this.view = new DataView(this.buffer.buffer);
+  }
+
+  u8(value) {
+    this.reserve(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  u16(value) {
+    this.reserve(2);
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+  }
+
+  i32(value) {
+    this.reserve(4);
+    this.view.setInt32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  // Used for cycle counters that can exceed 32 bits
+  f64(value) {
+    this.reserve(8);
+    this.view.setFloat64(this.offset, value, true);
+    this.offset += 8;
+  }
+
+  bool(value) {
+    this.u8(value ? 1 : 0);
+  }
+
+  // Length-prefixed byte array
+  bytes(data) {
+    this.i32(data.length);
+    this.reserve(data.length);
+    this.buffer.set(data, this.offset);
+    this.offset += data.length;
+  }
+
+  string(value) {
+    this.bytes(Array.from(value, (c) => c.charCodeAt(0) & 0xff));
+  }
+
+  data() {
+    return this.buffer.slice(0, this.offset);
+  }
+}
+
+class StateReader {
+  constructor(data) {
+    this.buffer = Uint8Array.from(data);
+    this.view = new DataView(this.buffer.buffer);
+    this.offset = 0;
+  }
+
+  check(n) {
+    if (this.offset + n > this.buffer.length) {
+      throw new Error("Save state is truncated");
+    }
+  }
+
+  u8() {
+    this.check(1);
+    return this.view.getUint8(this.offset++);
+  }
+
+  u16() {
+    this.check(2);
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  i32() {
+    this.check(4);
+    const value = this.view.getInt32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  f64() {
+    this.check(8);
+    const value = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  bool() {
+    return this.u8() !== 0;
+  }
+
+  bytes() {
+    const length = this.i32();
+    this.check(length);
+    const data = this.buffer.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return data;
+  }
+
+  // Read a length-prefixed byte array into an existing array
+  into(target) {
+    const data = this.bytes();
+    if (data.length !== target.length) {
+      throw new Error("Save state array size mismatch: " + data.length + " != " + target.length);
+    }
+    target.set(data);
+  }
+
+  string() {
+    return getText(Array.from(this.bytes()));
+  }
+
+  // Every component has been read, anything left means the layout doesn't match
+  finish() {
+    if (this.offset !== this.buffer.length) {
+      throw new Error("Save state has " + (this.buffer.length - this.offset) + " unexpected bytes");
+    }
+  }
+}
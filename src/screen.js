@@ -1,15 +1,18 @@
 // LCDScreen
+// Video sink drawing the PPU's frame buffer to an HTML canvas
 class LCDScreen {
   constructor(canvas) {
     this.canvas = canvas;
     this.canvas.width = PPU.VIEWPORT_WIDTH;
     this.canvas.height = PPU.VIEWPORT_HEIGHT;
     this.ctx = canvas.getContext('2d');
+    this.imageData = this.ctx.createImageData(this.canvas.width, this.canvas.height);
   }
 
-  // Draws the contents of PPU's frame buffer to an HTML canvas
-  update(imageData) {
-    this.ctx.putImageData(imageData, 0, 0, 0, 0, this.canvas.width, this.canvas.height);
+  // Draws the contents of PPU's frame buffer (RGBA) to the canvas
+  update(frameBuf) {
+    this.imageData.data.set(frameBuf);
+    this.ctx.putImageData(this.imageData, 0, 0, 0, 0, this.canvas.width, this.canvas.height);
   }
 
   // Clear the screen
@@ -18,4 +21,3 @@ class LCDScreen {
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
   }
 }
-window.LCDScreen = Screen;
@@ -0,0 +1,162 @@
+// Serial port (link cable)
+//
+// A transfer shifts SB out MSB first while the peer's byte is shifted in. With the internal
+// clock this Game Boy clocks the transfer at 8192 Hz (262144 Hz in CGB fast mode), with the
+// external clock it waits for the peer to clock it. The serial interrupt is requested when
+// all 8 bits have been shifted.
+//
+// Peers connected to the port implement:
+//   transfer(value) - this Game Boy clocked out (value), returns the byte shifted in
+// A peer that provides the clock calls receive(value) on this port instead.
+class Serial {
+  static SB = 0xff01; // Serial transfer data
+  static SC = 0xff02; // Serial transfer control
+
+  static SC_TRANSFER = 1 << 7;  // transfer requested/in progress
+  static SC_FAST = 1 << 1;      // CGB only - fast clock
+  static SC_INTERNAL = 1 << 0;  // internal clock
+
+  // Cycles per bit with the internal clock
+  static BIT_CYCLES = 512;
+  static FAST_BIT_CYCLES = 16;
+
+  constructor(dmg) {
+    this.dmg = dmg;
+    this.peer = new NullSerialPeer();
+    this.sb = 0;
+    this.sc = 0;
+    this.incoming = 0xff; // Byte shifted in from the peer
+    this.bits = 0;
+    this.bitCycles = 0;
+  }
+
+  reset() {
+    this.mmu = this.dmg.mmu;
+    this.sb = 0;
+    this.sc = 0;
+    this.incoming = 0xff;
+    this.bits = 0;
+    this.bitCycles = 0;
+  }
+
+  saveState(state) {
+    state.u8(this.sb);
+    state.u8(this.sc);
+    state.u8(this.incoming);
+    state.u8(this.bits);
+    state.i32(this.bitCycles);
+  }
+
+  loadState(state) {
+    this.sb = state.u8();
+    this.sc = state.u8();
+    this.incoming = state.u8();
+    this.bits = state.u8();
+    this.bitCycles = state.i32();
+  }
+
+  // Connect a peer to the port, null disconnects
+  connect(peer) {
+    this.peer = peer || new NullSerialPeer();
+  }
+
+  isTransferring() {
+    return (this.sc & Serial.SC_TRANSFER) !== 0;
+  }
+
+  isInternalClock() {
+    return (this.sc & Serial.SC_INTERNAL) !== 0;
+  }
+
+  getBitCycles() {
+    return this.dmg.cgbMode && (this.sc & Serial.SC_FAST) ? Serial.FAST_BIT_CYCLES : Serial.BIT_CYCLES;
+  }
+
+  readByte(loc) {
+    if (loc == Serial.SB) {
+      return this.sb;
+    }
+    // Unused bits read as 1
+    return this.sc | (this.dmg.cgbMode ? 0x7c : 0x7e);
+  }
+
+  writeByte(loc, value) {
+    if (loc == Serial.SB) {
+      this.sb = value;
+      return;
+    }
+    this.sc = value & (Serial.SC_TRANSFER | Serial.SC_FAST | Serial.SC_INTERNAL);
+
+    // Start a transfer clocked by this Game Boy, the peer's byte is shifted in bit by bit
+    if (this.isTransferring() && this.isInternalClock()) {
+      this.incoming = this.peer.transfer(this.sb) & 0xff;
+      this.bits = 0;
+      this.bitCycles = this.getBitCycles();
+    }
+  }
+
+  // Transfer clocked by the peer, returns the byte shifted out
+  // Nothing is shifted unless a transfer with the external clock was requested
+  receive(value) {
+    if (! this.isTransferring() || this.isInternalClock()) {
+      return 0xff;
+    }
+    const out = this.sb;
+    this.sb = value & 0xff;
+    this.complete();
+    return out;
+  }
+
+  complete() {
+    this.sc &= ~Serial.SC_TRANSFER;
+    this.mmu.writeByte(CPU.IF_REG, this.mmu.readByte(CPU.IF_REG) | CPU.IF_SERIAL);
+  }
+
+  // Advance an internally clocked transfer by (n) cycles
+  update(cycles) {
+    if (! this.isTransferring() || ! this.isInternalClock()) {
+      return;
+    }
+    this.bitCycles -= cycles;
+    while (this.bitCycles <= 0) {
+      this.sb = ((this.sb << 1) | (this.incoming >> 7)) & 0xff;
+      this.incoming = (this.incoming << 1) & 0xff;
+      this.bits++;
+      if (this.bits === 8) {
+        this.complete();
+        return;
+      }
+      this.bitCycles += this.getBitCycles();
+    }
+  }
+}
+
+// Nothing connected: the data line is pulled up so 0xff is shifted in
+class NullSerialPeer {
+  transfer() {
+    return 0xff;
+  }
+}
+
+// Records every byte sent, test ROMs like blargg's report their results this way
+// Bytes are passed on to (peer) when given, so a device like the printer can be tapped
+class CaptureSerialPeer {
+  constructor(onByte = null, peer = null) {
+    this.data = [];
+    this.onByte = onByte; // Called with each byte sent
+    this.peer = peer;
+  }
+
+  transfer(value) {
+    this.data.push(value);
+    if (this.onByte) {
+      this.onByte(value);
+    }
+    return this.peer ? this.peer.transfer(value) : 0xff;
+  }
+
+  // Bytes sent so far as text
+  getOutput() {
+    return getText(this.data);
+  }
+}
@@ -0,0 +1,73 @@
+// Storage backends for battery saves
+// A backend implements load(key) and save(key, data), both returning a Promise.
+// load() resolves to a Uint8Array or null if nothing is stored under key.
+
+// Browser localStorage, data is stored base64 encoded
+class LocalStorageBackend {
+  constructor(prefix = 'dmg.js:') {
+    this.prefix = prefix;
+  }
+
+  load(key) {
+    const value = localStorage.getItem(this.prefix + key);
+    if (value === null) {
+      return Promise.resolve(null);
+    }
+    const bin = atob(value);
+    const data = new Uint8Array(bin.length);
+    for (let n = 0; n < bin.length; n++) {
+      data[n] = bin.charCodeAt(n);
+    }
+    return Promise.resolve(data);
+  }
+
+  save(key, data) {
+    let bin = '';
+    for (let n = 0; n < data.length; n++) {
+      bin += String.fromCharCode(data[n]);
+    }
+    localStorage.setItem(this.prefix + key, btoa(bin));
+    return Promise.resolve();
+  }
+}
+
+// Browser IndexedDB
+class IndexedDBBackend {
+  constructor(dbName = 'dmg.js', storeName = 'saves') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+    this.db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.db;
+  }
+
+  // Run a request against the object store
+  request(mode, fn) {
+    return this.open().then((db) => new Promise((resolve, reject) => {
+      const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+      const request = fn(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  load(key) {
+    return this.request('readonly', (store) => store.get(key))
+      .then((data) => data ? new Uint8Array(data) : null);
+  }
+
+  save(key, data) {
+    return this.request('readwrite', (store) => store.put(Uint8Array.from(data), key));
+  }
+}
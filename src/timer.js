@@ -0,0 +1,145 @@
+// Timer and divider
+//
+// DIV is the upper byte of a 16-bit system counter that increments every cycle.
+// TIMA increments on the falling edge of the counter bit selected by TAC, ANDed with
+// the timer enable bit, so resetting DIV or changing TAC can also increment TIMA.
+// More info at https://gbdev.io/pandocs/Timer_Obscure_Behaviour.html
+class Timer {
+  static DIV = 0xff04;  // Divider register
+  static TIMA = 0xff05; // Timer counter
+  static TMA = 0xff06;  // Timer modulo
+  static TAC = 0xff07;  // Timer control
+
+  static TAC_ENABLE = 0b100;
+
+  // System counter bit watched for each TAC clock select (4096, 262144, 65536 and 16384 Hz)
+  static TAC_COUNTER_BITS = [9, 3, 5, 7];
+
+  constructor(dmg) {
+    this.dmg = dmg;
+    this.counter = 0;
+    this.tima = 0;
+    this.tma = 0;
+    this.tac = 0;
+    this.overflow = false; // TIMA overflowed and reads 0, TMA is loaded on the next M-cycle
+    this.reloading = false; // TIMA was loaded from TMA during the current M-cycle
+  }
+
+  reset() {
+    this.mmu = this.dmg.mmu;
+    this.counter = 0;
+    this.tima = 0;
+    this.tma = 0;
+    this.tac = 0;
+    this.overflow = false;
+    this.reloading = false;
+  }
+
+  saveState(state) {
+    state.u16(this.counter);
+    state.u8(this.tima);
+    state.u8(this.tma);
+    state.u8(this.tac);
+    state.bool(this.overflow);
+    state.bool(this.reloading);
+  }
+
+  loadState(state) {
+    this.counter = state.u16();
+    this.tima = state.u8();
+    this.tma = state.u8();
+    this.tac = state.u8();
+    this.overflow = state.bool();
+    this.reloading = state.bool();
+  }
+
+  // Input to the TIMA falling edge detector
+  getTimerSignal(counter, tac) {
+    return (tac & Timer.TAC_ENABLE) !== 0 && (counter & (1 << Timer.TAC_COUNTER_BITS[tac & 0b11])) !== 0;
+  }
+
+  incrementTIMA() {
+    if (this.tima === 0xff) {
+      this.tima = 0;
+      this.overflow = true;
+    }
+    else {
+      this.tima++;
+    }
+  }
+
+  readByte(loc) {
+    switch (loc) {
+      case Timer.DIV:
+        return this.counter >> 8;
+      case Timer.TIMA:
+        return this.tima;
+      case Timer.TMA:
+        return this.tma;
+      case Timer.TAC:
+        return this.tac | 0xf8; // unused bits read as 1
+      default:
+        return 0xff;
+    }
+  }
+
+  writeByte(loc, value) {
+    switch (loc) {
+      // Writing any value resets the system counter
+      case Timer.DIV:
+        if (this.getTimerSignal(this.counter, this.tac)) {
+          this.incrementTIMA();
+        }
+        this.counter = 0;
+        break;
+
+      // Writing TIMA while the overflow is pending cancels the reload,
+      // writes in the M-cycle TMA is loaded are ignored
+      case Timer.TIMA:
+        if (! this.reloading) {
+          this.tima = value;
+          this.overflow = false;
+        }
+        break;
+
+      // Writing TMA in the M-cycle it is loaded also loads the new value
+      case Timer.TMA:
+        this.tma = value;
+        if (this.reloading) {
+          this.tima = value;
+        }
+        break;
+
+      case Timer.TAC: {
+        const signal = this.getTimerSignal(this.counter, this.tac);
+        this.tac = value & 0x07;
+        if (signal && ! this.getTimerSignal(this.counter, this.tac)) {
+          this.incrementTIMA();
+        }
+        break;
+      }
+      default:
+    }
+  }
+
+  // Advance the timer by (n) cycles, one M-cycle at a time
+  update(cycles) {
+    for (; cycles > 0; cycles -= 4) {
+      this.reloading = false;
+
+      // TIMA reads 0 for one M-cycle after an overflow before TMA is loaded
+      if (this.overflow) {
+        this.overflow = false;
+        this.reloading = true;
+        this.tima = this.tma;
+        this.mmu.writeByte(CPU.IF_REG, this.mmu.readByte(CPU.IF_REG) | CPU.IF_TIMER);
+      }
+
+      const signal = this.getTimerSignal(this.counter, this.tac);
+      this.counter = (this.counter + 4) & 0xffff;
+      if (signal && ! this.getTimerSignal(this.counter, this.tac)) {
+        this.incrementTIMA();
+      }
+    }
+  }
+}
@@ -26,7 +26,3 @@ function getText(charCodes) {
   return charCodes.reduce((acc, cur) => acc + ((cur > 0) ? String.fromCharCode(cur) : ''), '');
 }
 
-window.hexify = hexify;
-window.tcBin2Dec = tcBin2Dec;
-window.uint16 = uint16;
-window.getText = getText;
@@ -0,0 +1,32 @@
+// Audio sink playing APU samples through the Web Audio API
+class WebAudioOutput {
+  static GAIN = 0.01;
+
+  constructor() {
+    this.audioContext = new AudioContext();
+    this.sampleRate = this.audioContext.sampleRate;
+    this.nextAudioTime = 0;
+  }
+
+  // Schedule a buffer of samples for playback
+  queue(left, right) {
+    // HACK: Sample playback is lagging behind so fast-forward
+    if (this.audioContext.currentTime > this.nextAudioTime) {
+      console.log("audio lag!");
+      this.nextAudioTime = this.audioContext.currentTime;
+    }
+    const buffer = this.audioContext.createBuffer(2, left.length, this.sampleRate);
+    buffer.getChannelData(0).set(left);
+    buffer.getChannelData(1).set(right);
+
+    const source = this.audioContext.createBufferSource();
+    const gain = this.audioContext.createGain();
+
+    gain.connect(this.audioContext.destination);
+    gain.gain.value = WebAudioOutput.GAIN;
+    source.buffer = buffer;
+    source.connect(gain);
+    source.start(this.nextAudioTime);
+    this.nextAudioTime += buffer.duration;
+  }
+}
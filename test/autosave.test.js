@@ -0,0 +1,93 @@
+// Battery saves are only flagged when save data changes
+const assert = require('assert');
+const { DMG } = require('../dist/node.js');
+const cart = require('./helpers/cart.js');
+
+// Cartridge (type) with saves recorded in dmg.saves
+function load(type, ramCode = 0x03) {
+  const saves = [];
+  const storage = { save: (key, data) => saves.push(data) && Promise.resolve() };
+  const dmg = cart.load(cart.makeRom(type, { banks: 8, ramCode }), { storage });
+  dmg.saves = saves;
+  return dmg;
+}
+
+describe('battery save autosave', () => {
+  it('flags RAM stores that change the contents', () => {
+    const { mmu } = load(0x03); // MBC1+RAM+BATTERY
+    mmu.writeByte(0x0000, 0x0a);
+    mmu.writeByte(0xa000, 0x12);
+    assert.strictEqual(mmu.xramDirty, true);
+    mmu.xramDirty = false;
+    mmu.writeByte(0xa000, 0x12);
+    assert.strictEqual(mmu.xramDirty, false);
+  });
+
+  it('ignores stores while RAM is disabled', () => {
+    const { mmu } = load(0x03);
+    mmu.writeByte(0xa000, 0x12);
+    assert.strictEqual(mmu.xramDirty, false);
+  });
+
+  it('ignores carts without a battery', () => {
+    const { mmu } = load(0x02); // MBC1+RAM
+    mmu.writeByte(0x0000, 0x0a);
+    mmu.writeByte(0xa000, 0x12);
+    assert.strictEqual(mmu.xramDirty, false);
+  });
+
+  it('flags MBC3 clock register writes that change the clock', () => {
+    const { mmu } = load(0x10); // MBC3+TIMER+RAM+BATTERY
+    mmu.writeByte(0x0000, 0x0a);
+    mmu.writeByte(0x4000, 0x08);
+    mmu.writeByte(0xa000, 0x05);
+    assert.strictEqual(mmu.xramDirty, true);
+    mmu.xramDirty = false;
+    mmu.writeByte(0xa000, 0x05);
+    assert.strictEqual(mmu.xramDirty, false);
+    mmu.writeByte(0xa000, 0xc5); // Unused bits are not stored
+    assert.strictEqual(mmu.xramDirty, false);
+  });
+
+  it('ignores MBC7 accelerometer latches and flags EEPROM writes', () => {
+    const { mmu } = load(0x22, 0x00); // MBC7+SENSOR+RUMBLE+RAM+BATTERY
+    mmu.writeByte(0x0000, 0x0a);
+    mmu.writeByte(0x4000, 0x40);
+    for (let frame = 0; frame < 10; frame++) {
+      mmu.writeByte(0xa000, 0x55);
+      mmu.writeByte(0xa010, 0xaa);
+    }
+    assert.strictEqual(mmu.xramDirty, false);
+    mmu.eeprom.writeWord(0, 0x1234);
+    assert.strictEqual(mmu.xramDirty, true);
+    mmu.xramDirty = false;
+    mmu.eeprom.writeWord(0, 0x1234);
+    assert.strictEqual(mmu.xramDirty, false);
+  });
+
+  it('writes the save once RAM writes settle', () => {
+    const dmg = load(0x03);
+    dmg.mmu.writeByte(0x0000, 0x0a);
+    dmg.mmu.writeByte(0xa000, 0x12);
+    for (let frame = 0; frame <= DMG.AUTOSAVE_DELAY; frame++) {
+      dmg.updateAutosave();
+    }
+    assert.strictEqual(dmg.saves.length, 1);
+    assert.strictEqual(dmg.saves[0][0], 0x12);
+  });
+
+  it('flushes a pending save immediately', () => {
+    const dmg = load(0x03);
+    dmg.flushPendingSave();
+    assert.strictEqual(dmg.saves.length, 0);
+    dmg.mmu.writeByte(0x0000, 0x0a);
+    dmg.mmu.writeByte(0xa000, 0x12);
+    dmg.updateAutosave();
+    dmg.flushPendingSave();
+    assert.strictEqual(dmg.saves.length, 1);
+    for (let frame = 0; frame <= DMG.AUTOSAVE_DELAY; frame++) {
+      dmg.updateAutosave();
+    }
+    assert.strictEqual(dmg.saves.length, 1);
+  });
+});
@@ -0,0 +1,66 @@
+// Pocket Camera capture into cartridge RAM
+const assert = require('assert');
+const cart = require('./helpers/cart.js');
+const { Camera } = require('../dist/node.js');
+
+// POCKET CAMERA with 128 KiB RAM and the camera registers mapped
+function load() {
+  const dmg = cart.load(cart.makeRom(0xfc, { banks: 8, ramCode: 0x04 }));
+  dmg.mmu.writeByte(0x0000, 0x0a);
+  dmg.mmu.writeByte(0x4000, 0x10);
+  return dmg;
+}
+
+// Shoot a picture with unit exposure and gain, and thresholds 64, 128, 192 for every matrix pixel
+function capture(dmg) {
+  const { mmu } = dmg;
+  mmu.writeByte(0xa000 + Camera.REG_EXPOSURE_HI, 0x10);
+  mmu.writeByte(0xa000 + Camera.REG_EXPOSURE_LO, 0x00);
+  for (let n = 0; n < 16; n++) {
+    mmu.writeByte(0xa000 + Camera.REG_MATRIX + n * 3, 64);
+    mmu.writeByte(0xa000 + Camera.REG_MATRIX + n * 3 + 1, 128);
+    mmu.writeByte(0xa000 + Camera.REG_MATRIX + n * 3 + 2, 192);
+  }
+  mmu.writeByte(0xa000 + Camera.REG_SHOOT, 0x01);
+  const cycles = mmu.camera.getCaptureCycles();
+  mmu.update(cycles - 4);
+  assert.strictEqual(mmu.readByte(0xa000) & 1, 1, 'busy');
+  mmu.update(4);
+  assert.strictEqual(mmu.readByte(0xa000) & 1, 0, 'done');
+}
+
+describe('Pocket Camera', () => {
+  it('writes the captured frame to RAM as 2bpp tiles', () => {
+    const dmg = load();
+    // Each column of 4 tiles gets one shade, from black on the left to white on the right
+    dmg.cameraSource = (width, height) => {
+      const image = new Uint8Array(width * height);
+      for (let n = 0; n < image.length; n++) {
+        image[n] = ((n % width) >> 3) * 16;
+      }
+      return image;
+    };
+    capture(dmg);
+
+    const { xram } = dmg.mmu;
+    const expected = [[0xff, 0xff], [0x00, 0xff], [0xff, 0x00], [0x00, 0x00]];
+    for (let tile = 0; tile < 16 * 14; tile++) {
+      const [low, high] = expected[(tile % 16) >> 2];
+      for (let row = 0; row < 8; row++) {
+        const offset = Camera.PICTURE_OFFSET + tile * 16 + row * 2;
+        assert.deepStrictEqual([xram[offset], xram[offset + 1]], [low, high], 'tile ' + tile);
+      }
+    }
+  });
+
+  it('flags a changed photo for autosave', () => {
+    const dmg = load();
+    dmg.cameraSource = (width, height) => new Uint8Array(width * height);
+    capture(dmg);
+    assert.strictEqual(dmg.mmu.xramDirty, true);
+
+    dmg.mmu.xramDirty = false;
+    capture(dmg);
+    assert.strictEqual(dmg.mmu.xramDirty, false, 'same photo');
+  });
+});
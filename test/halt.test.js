@@ -0,0 +1,128 @@
+// Low-power modes: HALT, STOP and the CGB speed switch, and the EI delay
+const assert = require('assert');
+const { CPU } = require('../dist/node.js');
+const cart = require('./helpers/cart.js');
+
+// Run (code) from 0100 for (steps) instructions, on a CGB when (cgb) is set,
+// with the VBLANK interrupt handler (vblank) at 0040
+function runCode(code, { cgb = false, steps = 20, vblank = [0x18, 0xfe] } = {}) {
+  const rom = cart.makeProgram(code);
+  rom.set(vblank, CPU.IH_VBLANK);
+  if (cgb) {
+    rom[0x0143] = 0x80;
+    rom[0x014b] = 0x33;
+  }
+  const dmg = cart.load(rom);
+  for (let n = 0; n < steps; n++) {
+    dmg.cpu.update();
+  }
+  return dmg;
+}
+
+// Enable and request VBLANK, then run (code)
+function withVBlankPending(code) {
+  return [
+    0x06, 0x00, // LD B,0
+    0x3e, 0x01, // LD A,1
+    0xe0, 0xff, // LDH (IE),A
+    0xe0, 0x0f, // LDH (IF),A
+    ...code,
+  ];
+}
+
+// Store B at C000 and spin
+const STORE_B = [
+  0x78,             // LD A,B
+  0xea, 0x00, 0xc0, // LD ($C000),A
+  0x18, 0xfe,       // JR -2
+];
+
+// Arm the speed switch, store KEY1 before and after STOP at C000 and C001
+const SPEED_SWITCH = [
+  0x3e, 0x01,       // LD A,1
+  0xe0, 0x4d,       // LDH (KEY1),A
+  0xf0, 0x4d,       // LDH A,(KEY1)
+  0xea, 0x00, 0xc0, // LD ($C000),A
+  0x10, 0x00,       // STOP
+  0xf0, 0x4d,       // LDH A,(KEY1)
+  0xea, 0x01, 0xc0, // LD ($C001),A
+  0x18, 0xfe,       // JR -2
+];
+
+describe('HALT', () => {
+  it('reads the next opcode twice with IME=0 and an interrupt pending', () => {
+    const dmg = runCode(withVBlankPending([
+      0xf3, // DI
+      0x76, // HALT
+      0x04, // INC B
+      ...STORE_B,
+    ]));
+    assert.strictEqual(dmg.mmu.readByte(0xc000), 2);
+    assert.strictEqual(dmg.cpu.haltMode, false);
+  });
+
+  it('resumes without servicing the interrupt with IME=0', () => {
+    const dmg = runCode([
+      0xf3,       // DI
+      0x06, 0x00, // LD B,0
+      0x3e, 0x01, // LD A,1
+      0xe0, 0xff, // LDH (IE),A
+      0xaf,       // XOR A
+      0xe0, 0x0f, // LDH (IF),A
+      0x76,       // HALT
+      0x04,       // INC B
+      ...STORE_B,
+    ], { steps: 10 });
+    assert.strictEqual(dmg.cpu.haltMode, true);
+
+    dmg.mmu.writeByte(CPU.IF_REG, CPU.IF_VBLANK);
+    for (let n = 0; n < 10; n++) {
+      dmg.cpu.update();
+    }
+    assert.strictEqual(dmg.cpu.haltMode, false);
+    assert.strictEqual(dmg.mmu.readByte(0xc000), 1);
+    assert.ok(dmg.mmu.readByte(CPU.IF_REG) & CPU.IF_VBLANK, 'interrupt still requested');
+  });
+});
+
+describe('EI', () => {
+  it('enables interrupts after the next instruction', () => {
+    const dmg = runCode(withVBlankPending([
+      0xfb,       // EI
+      0x04,       // INC B
+      0x04,       // INC B
+      0x18, 0xfe, // JR -2
+    ]), { vblank: STORE_B });
+    assert.strictEqual(dmg.mmu.readByte(0xc000), 1);
+    assert.strictEqual(dmg.cpu.IMEEnabled, false);
+  });
+
+  it('is cancelled by DI right after it', () => {
+    const dmg = runCode(withVBlankPending([
+      0xfb, // EI
+      0xf3, // DI
+      0x04, // INC B
+      ...STORE_B,
+    ]));
+    assert.strictEqual(dmg.mmu.readByte(0xc000), 1);
+    assert.strictEqual(dmg.cpu.IMEEnabled, false);
+    assert.ok(dmg.mmu.readByte(CPU.IF_REG) & CPU.IF_VBLANK, 'interrupt not serviced');
+  });
+});
+
+describe('STOP', () => {
+  it('switches to double speed on CGB when armed through KEY1', () => {
+    const dmg = runCode(SPEED_SWITCH, { cgb: true });
+    assert.strictEqual(dmg.mmu.readByte(0xc000), 0x7f);
+    assert.strictEqual(dmg.mmu.readByte(0xc001), 0xfe);
+    assert.strictEqual(dmg.cpu.doubleSpeedMode, true);
+    assert.strictEqual(dmg.cpu.stopMode, false);
+  });
+
+  it('reads KEY1 as 0xff and stops the clock on DMG', () => {
+    const dmg = runCode(SPEED_SWITCH);
+    assert.strictEqual(dmg.mmu.readByte(0xc000), 0xff);
+    assert.strictEqual(dmg.cpu.doubleSpeedMode, false);
+    assert.strictEqual(dmg.cpu.stopMode, true);
+  });
+});
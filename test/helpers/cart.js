@@ -0,0 +1,34 @@
+// Cartridge fixtures shared by the tests
+const { createDMG } = require('../../dist/node.js');
+
+const BANK_SIZE = 0x4000;
+
+// ROM with (banks) 16 KiB banks and a header for cartridge (type) with RAM size (ramCode)
+// Each bank starts with its bank number (LSB first)
+function makeRom(type = 0x00, { banks = 2, ramCode = 0x00 } = {}) {
+  const rom = new Uint8Array(banks * BANK_SIZE);
+  rom[0x0147] = type;
+  rom[0x0148] = Math.log2(banks / 2);
+  rom[0x0149] = ramCode;
+  for (let bank = 0; bank < banks; bank++) {
+    rom[bank * BANK_SIZE] = bank & 0xff;
+    rom[bank * BANK_SIZE + 1] = bank >> 8;
+  }
+  return rom;
+}
+
+// ROM running (code) from the entry point at 0100
+function makeProgram(code, type = 0x00, options = {}) {
+  const rom = makeRom(type, options);
+  rom.set(code, 0x100);
+  return rom;
+}
+
+// Emulator created with (options) running (rom)
+function load(rom, options = {}) {
+  const dmg = createDMG(options);
+  dmg.loadRom(rom);
+  return dmg;
+}
+
+module.exports = { BANK_SIZE, makeRom, makeProgram, load };
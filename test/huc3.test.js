@@ -0,0 +1,53 @@
+// HuC3 battery saves with clock data
+const assert = require('assert');
+const cart = require('./helpers/cart.js');
+
+// HuC3 with 32 KiB RAM
+function load() {
+  return cart.load(cart.makeRom(0xfe, { banks: 8, ramCode: 0x03 }));
+}
+
+describe('HuC3', () => {
+  it('saves RAM followed by the clock', () => {
+    const dmg = load();
+    dmg.mmu.rtc.minutes = 100;
+    dmg.mmu.rtc.days = 7;
+    const data = dmg.exportSave();
+    assert.strictEqual(data.length, 32 * 1024 + 12);
+
+    const other = load();
+    other.importSave(data);
+    assert.strictEqual(other.mmu.rtc.minutes, 100);
+    assert.strictEqual(other.mmu.rtc.days, 7);
+  });
+
+  it('loads RAM from saves with truncated clock data', () => {
+    const error = console.error;
+    const errors = [];
+    console.error = (message) => errors.push(message);
+    try {
+      for (let extra = 1; extra < 12; extra++) {
+        const dmg = load();
+        const data = new Uint8Array(32 * 1024 + extra).fill(0x05);
+        dmg.importSave(data);
+        assert.strictEqual(dmg.mmu.xram[0], 0x05);
+        assert.strictEqual(dmg.mmu.rtc.minutes, 0);
+      }
+    }
+    finally {
+      console.error = error;
+    }
+    assert.deepStrictEqual(errors, new Array(11).fill("Invalid RTC data"));
+  });
+
+  it('ignores unknown commands', () => {
+    const { mmu } = load();
+    mmu.rtc.minutes = 100;
+    mmu.writeByte(0x0000, 0x0b);
+    mmu.writeByte(0xa000, 0x2f); // Command 0x2
+    mmu.writeByte(0xa000, 0x6f); // Extended command 0xf
+    mmu.writeByte(0x0000, 0x0d);
+    mmu.writeByte(0xa000, 0xfe);
+    assert.strictEqual(mmu.rtc.minutes, 100);
+  });
+});
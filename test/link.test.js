@@ -0,0 +1,125 @@
+// Bytes exchanged over the link cable
+const assert = require('assert');
+const { MessageChannel } = require('worker_threads');
+const { CPU, LinkCable, RemoteLink, MessagePortTransport, Serial } = require('../dist/node.js');
+const cart = require('./helpers/cart.js');
+
+// Exchanges 8 bytes starting at (first) and stores the bytes received at C000
+// The clocking side waits a little before each byte, the other side waits on the external clock
+function linkRom(clocking, first) {
+  const rom = cart.makeProgram([0xc3, 0x50, 0x01]); // JP $0150
+  const delay = clocking ? [
+    0x16, 0x02,       // LD D,2
+    0x0e, 0x00,       // LD C,0
+    0x0d,             // DEC C
+    0x20, 0xfd,       // JR NZ,-3
+    0x15,             // DEC D
+    0x20, 0xf8,       // JR NZ,-8
+  ] : [];
+  const loop = [
+    ...delay,
+    0x78,             // LD A,B
+    0xe0, 0x01,       // LDH (SB),A
+    0x3e, clocking ? 0x81 : 0x80,
+    0xe0, 0x02,       // LDH (SC),A
+    0xf0, 0x02,       // LDH A,(SC)
+    0xcb, 0x7f,       // BIT 7,A
+    0x20, 0xfa,       // JR NZ,-6
+    0xf0, 0x01,       // LDH A,(SB)
+    0x22,             // LD (HL+),A
+    0x04,             // INC B
+    0x7d,             // LD A,L
+    0xfe, 0x08,       // CP 8
+  ];
+  rom.set([
+    0xf3,             // DI
+    0x21, 0x00, 0xc0, // LD HL,$C000
+    0x06, first,      // LD B,first
+    ...loop,
+    0x20, -(loop.length + 2) & 0xff,
+    0x18, 0xfe,       // JR -2
+  ], 0x150);
+  return rom;
+}
+
+function load(clocking, first) {
+  return cart.load(linkRom(clocking, first));
+}
+
+function received(dmg) {
+  return Array.from({ length: 8 }, (_, n) => dmg.mmu.readByte(0xc000 + n));
+}
+
+const bytesFrom = (first) => Array.from({ length: 8 }, (_, n) => first + n);
+
+// RemoteLink with a fixed seed, so the test picks the master
+function remoteLink(dmg, transport, seed) {
+  const random = Math.random;
+  Math.random = () => seed;
+  try {
+    return new RemoteLink(dmg, transport);
+  }
+  finally {
+    Math.random = random;
+  }
+}
+
+describe('link cable', () => {
+  it('exchanges bytes between emulators in lockstep', () => {
+    const a = load(true, 0x10);
+    const b = load(false, 0x40);
+    const cable = new LinkCable(a, b);
+    for (let frame = 0; frame < 30; frame++) {
+      cable.runFrame();
+    }
+    assert.deepStrictEqual(received(a), bytesFrom(0x40));
+    assert.deepStrictEqual(received(b), bytesFrom(0x10));
+  });
+
+  it('drops a byte clocked out before the other side is ready', () => {
+    const a = cart.load(cart.makeProgram([0x18, 0xfe])); // JR -2
+    const b = cart.load(cart.makeProgram([0x18, 0xfe]));
+    const cable = new LinkCable(a, b);
+    b.serial.writeByte(Serial.SB, 0x34);
+    a.serial.writeByte(Serial.SB, 0x12);
+    a.serial.writeByte(Serial.SC, Serial.SC_TRANSFER | Serial.SC_INTERNAL);
+    cable.runFrame();
+    assert.strictEqual(a.serial.readByte(Serial.SB), 0xff);
+    assert.strictEqual(a.mmu.readByte(CPU.IF_REG) & CPU.IF_SERIAL, CPU.IF_SERIAL);
+
+    // Arming afterwards doesn't deliver the lost byte
+    b.serial.writeByte(Serial.SC, Serial.SC_TRANSFER);
+    cable.runFrame();
+    assert.strictEqual(b.serial.readByte(Serial.SB), 0x34);
+    assert.strictEqual(b.mmu.readByte(CPU.IF_REG) & CPU.IF_SERIAL, 0);
+    assert.ok(b.serial.isTransferring());
+  });
+
+  for (const clockingRole of ['master', 'slave']) {
+    it('exchanges bytes over a transport when the ' + clockingRole + ' clocks', async () => {
+      const a = load(true, 0x10);
+      const b = load(false, 0x40);
+      const channel = new MessageChannel();
+      const transportA = new MessagePortTransport(channel.port1);
+      const transportB = new MessagePortTransport(channel.port2);
+      const linkA = remoteLink(a, transportA, clockingRole === 'master' ? 0.9 : 0.1);
+      const linkB = remoteLink(b, transportB, clockingRole === 'master' ? 0.1 : 0.9);
+      try {
+        for (let n = 0; n < 300 && (received(a)[7] !== 0x47 || received(b)[7] !== 0x17); n++) {
+          await new Promise((resolve) => setImmediate(resolve));
+          if (linkA.role) {
+            linkA.update();
+            linkB.update();
+          }
+        }
+        assert.strictEqual(linkA.role, clockingRole);
+        assert.deepStrictEqual(received(a), bytesFrom(0x40));
+        assert.deepStrictEqual(received(b), bytesFrom(0x10));
+      }
+      finally {
+        transportA.close();
+        transportB.close();
+      }
+    });
+  }
+});
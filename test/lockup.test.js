@@ -0,0 +1,49 @@
+// Illegal opcodes lock up the CPU
+const assert = require('assert');
+const { CPU, Timer } = require('../dist/node.js');
+const cart = require('./helpers/cart.js');
+
+const ILLEGAL_OPCODES = [0xd3, 0xdb, 0xdd, 0xe3, 0xe4, 0xeb, 0xec, 0xed, 0xf4, 0xfc, 0xfd];
+
+// Run NOP followed by (opcode) for (steps) instructions, collecting cpu-locked events
+function runIllegal(opcode, steps = 10) {
+  const dmg = cart.load(cart.makeProgram([0x00, opcode]));
+  const events = [];
+  dmg.onCPULocked = (event) => events.push(event);
+  for (let n = 0; n < steps; n++) {
+    dmg.cpu.update();
+  }
+  return { dmg, events };
+}
+
+describe('CPU lockup', () => {
+  it('reports each illegal opcode once with its address', () => {
+    for (const opcode of ILLEGAL_OPCODES) {
+      const { dmg, events } = runIllegal(opcode);
+      assert.deepStrictEqual(events, [{ type: 'cpu-locked', pc: 0x0101, opcode }]);
+      assert.strictEqual(dmg.cpu.locked, true);
+      assert.strictEqual(dmg.cpu.PC, 0x0102);
+    }
+  });
+
+  it('keeps the rest of the system running', () => {
+    const { dmg } = runIllegal(0xd3);
+    dmg.mmu.writeByte(Timer.DIV, 0);
+    let cycles = 0;
+    while (cycles < 256) {
+      assert.strictEqual(dmg.cpu.update(), 4);
+      cycles += 4;
+    }
+    assert.strictEqual(dmg.mmu.readByte(Timer.DIV), 1);
+  });
+
+  it('no longer services interrupts', () => {
+    const { dmg } = runIllegal(0xd3);
+    dmg.cpu.IMEEnabled = true;
+    dmg.mmu.writeByte(CPU.IE_REG, CPU.IF_VBLANK);
+    dmg.mmu.writeByte(CPU.IF_REG, CPU.IF_VBLANK);
+    dmg.cpu.update();
+    assert.strictEqual(dmg.cpu.PC, 0x0102);
+    assert.ok(dmg.mmu.readByte(CPU.IF_REG) & CPU.IF_VBLANK, 'interrupt still requested');
+  });
+});
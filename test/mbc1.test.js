@@ -0,0 +1,193 @@
+// MBC1 and MBC1M bank switching
+const assert = require('assert');
+const { hexify } = require('../dist/node.js');
+const { BANK_SIZE, makeRom: makeCartRom, load: loadCart } = require('./helpers/cart.js');
+
+// MBC1+RAM+BATTERY ROM of (size) KiB
+function makeRom(size, ramCode = 0x00) {
+  return makeCartRom(0x03, { banks: size / 16, ramCode });
+}
+
+// 1 MiB multicart, the Nintendo logo is repeated at the start of each 256 KiB game
+function makeMulticart() {
+  const rom = makeRom(1024);
+  for (let game = 0; game < 4; game++) {
+    for (let n = 0x104; n < 0x134; n++) {
+      rom[game * 0x10 * BANK_SIZE + n] = n & 0xff;
+    }
+  }
+  return rom;
+}
+
+function load(rom) {
+  return loadCart(rom).mmu;
+}
+
+describe('MBC1', () => {
+  describe('ROM banking', () => {
+    it('maps bank 1 at 4000-7FFF after reset', () => {
+      const mmu = load(makeRom(512));
+      assert.strictEqual(mmu.readByte(0x4000), 1);
+    });
+
+    it('translates bank 0 to bank 1', () => {
+      const mmu = load(makeRom(512));
+      mmu.writeByte(0x2000, 0x05);
+      assert.strictEqual(mmu.readByte(0x4000), 0x05);
+      mmu.writeByte(0x2000, 0x00);
+      assert.strictEqual(mmu.readByte(0x4000), 0x01);
+    });
+
+    it('only uses the lower 5 bits of the bank number', () => {
+      const mmu = load(makeRom(512));
+      mmu.writeByte(0x2000, 0xe3);
+      assert.strictEqual(mmu.readByte(0x4000), 0x03);
+    });
+
+    it('masks the bank number to the ROM size', () => {
+      const mmu = load(makeRom(256));
+      mmu.writeByte(0x2000, 0x12);
+      assert.strictEqual(mmu.readByte(0x4000), 0x02);
+    });
+
+    for (const bank of [0x20, 0x40, 0x60]) {
+      it('maps bank ' + hexify(bank) + ' to ' + hexify(bank + 1), () => {
+        const mmu = load(makeRom(2048));
+        mmu.writeByte(0x4000, bank >> 5);
+        mmu.writeByte(0x2000, 0x00);
+        assert.strictEqual(mmu.readByte(0x4000), bank + 1);
+      });
+    }
+
+    it('applies the upper bits to non-zero banks', () => {
+      const mmu = load(makeRom(2048));
+      mmu.writeByte(0x4000, 0x03);
+      mmu.writeByte(0x2000, 0x1f);
+      assert.strictEqual(mmu.readByte(0x4000), 0x7f);
+    });
+  });
+
+  describe('banking mode', () => {
+    it('keeps bank 0 at 0000-3FFF in mode 0', () => {
+      const mmu = load(makeRom(2048));
+      mmu.writeByte(0x4000, 0x02);
+      assert.strictEqual(mmu.readByte(0x0000), 0x00);
+    });
+
+    it('maps bank 0x20/0x40/0x60 at 0000-3FFF in mode 1', () => {
+      const mmu = load(makeRom(2048));
+      mmu.writeByte(0x6000, 0x01);
+      for (const upper of [1, 2, 3]) {
+        mmu.writeByte(0x4000, upper);
+        assert.strictEqual(mmu.readByte(0x0000), upper << 5);
+      }
+      mmu.writeByte(0x6000, 0x00);
+      assert.strictEqual(mmu.readByte(0x0000), 0x00);
+    });
+
+    it('ignores the upper bits at 0000-3FFF on small ROMs', () => {
+      const mmu = load(makeRom(512));
+      mmu.writeByte(0x6000, 0x01);
+      mmu.writeByte(0x4000, 0x02);
+      assert.strictEqual(mmu.readByte(0x0000), 0x00);
+    });
+  });
+
+  describe('RAM banking', () => {
+    // 32 KiB RAM, each bank tagged with its number
+    function loadWithRam(mode) {
+      const mmu = load(makeRom(512, 0x03));
+      mmu.writeByte(0x0000, 0x0a);
+      mmu.writeByte(0x6000, 0x01);
+      for (let bank = 0; bank < 4; bank++) {
+        mmu.writeByte(0x4000, bank);
+        mmu.writeByte(0xa000, 0x10 + bank);
+      }
+      mmu.writeByte(0x6000, mode);
+      return mmu;
+    }
+
+    it('selects the RAM bank with the upper bits in mode 1', () => {
+      const mmu = loadWithRam(1);
+      for (let bank = 0; bank < 4; bank++) {
+        mmu.writeByte(0x4000, bank);
+        assert.strictEqual(mmu.readByte(0xa000), 0x10 + bank);
+      }
+    });
+
+    it('always maps RAM bank 0 in mode 0', () => {
+      const mmu = loadWithRam(0);
+      for (let bank = 0; bank < 4; bank++) {
+        mmu.writeByte(0x4000, bank);
+        assert.strictEqual(mmu.readByte(0xa000), 0x10);
+      }
+    });
+
+    it('needs 0x0A in the lower bits to enable RAM', () => {
+      const mmu = loadWithRam(1);
+      mmu.writeByte(0x4000, 0x00);
+      mmu.writeByte(0x0000, 0x00);
+      assert.strictEqual(mmu.readByte(0xa000), 0xff);
+      mmu.writeByte(0x0000, 0x1a);
+      assert.strictEqual(mmu.readByte(0xa000), 0x10);
+    });
+  });
+});
+
+describe('MBC1M', () => {
+  describe('isMBC1Multicart', () => {
+    it('detects the repeated logo in a 1 MiB ROM', () => {
+      const mmu = load(makeMulticart());
+      assert.strictEqual(mmu.mbc1Multicart, true);
+      assert.strictEqual(mmu.isMBC1Multicart(makeMulticart()), true);
+    });
+
+    it('rejects 1 MiB ROMs without a logo at bank 0x10', () => {
+      const rom = makeMulticart();
+      rom[0x10 * BANK_SIZE + 0x104] ^= 0xff;
+      assert.strictEqual(load(rom).mbc1Multicart, false);
+    });
+
+    it('rejects other ROM sizes', () => {
+      const rom = makeRom(2048);
+      for (let n = 0x104; n < 0x134; n++) {
+        rom[n] = rom[0x10 * BANK_SIZE + n] = n & 0xff;
+      }
+      assert.strictEqual(load(rom).mbc1Multicart, false);
+    });
+  });
+
+  describe('ROM banking', () => {
+    it('wires the upper bits to bank bits 4-5', () => {
+      const mmu = load(makeMulticart());
+      mmu.writeByte(0x4000, 0x02);
+      mmu.writeByte(0x2000, 0x05);
+      assert.strictEqual(mmu.readByte(0x4000), 0x25);
+    });
+
+    it('ignores bit 4 of the lower bank number', () => {
+      const mmu = load(makeMulticart());
+      mmu.writeByte(0x4000, 0x01);
+      mmu.writeByte(0x2000, 0x15);
+      assert.strictEqual(mmu.readByte(0x4000), 0x15);
+    });
+
+    it('translates bank 0 to bank 1 before dropping bit 4', () => {
+      const mmu = load(makeMulticart());
+      mmu.writeByte(0x4000, 0x01);
+      mmu.writeByte(0x2000, 0x00);
+      assert.strictEqual(mmu.readByte(0x4000), 0x11);
+      mmu.writeByte(0x2000, 0x10);
+      assert.strictEqual(mmu.readByte(0x4000), 0x10);
+    });
+
+    it('maps the first bank of each game at 0000-3FFF in mode 1', () => {
+      const mmu = load(makeMulticart());
+      mmu.writeByte(0x6000, 0x01);
+      for (const game of [0, 1, 2, 3]) {
+        mmu.writeByte(0x4000, game);
+        assert.strictEqual(mmu.readByte(0x0000), game << 4);
+      }
+    });
+  });
+});
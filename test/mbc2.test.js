@@ -0,0 +1,64 @@
+// MBC2 banking and built-in 512 x 4-bit RAM
+const assert = require('assert');
+const cart = require('./helpers/cart.js');
+
+// 256 KiB MBC2+BATTERY
+function load() {
+  return cart.load(cart.makeRom(0x06, { banks: 16 }));
+}
+
+describe('MBC2', () => {
+  it('selects ROM banks with address bit 8 set', () => {
+    const { mmu } = load();
+    mmu.writeByte(0x2100, 0x05);
+    assert.strictEqual(mmu.readByte(0x4000), 0x05);
+    mmu.writeByte(0x01ff, 0x07);
+    assert.strictEqual(mmu.readByte(0x4000), 0x07);
+    mmu.writeByte(0x2100, 0x00);
+    assert.strictEqual(mmu.readByte(0x4000), 0x01);
+    mmu.writeByte(0x2100, 0xf3);
+    assert.strictEqual(mmu.readByte(0x4000), 0x03);
+  });
+
+  it('enables RAM with address bit 8 clear', () => {
+    const { mmu } = load();
+    mmu.writeByte(0x0100, 0x0a);
+    mmu.writeByte(0xa000, 0x05);
+    assert.strictEqual(mmu.readByte(0xa000), 0xff);
+    assert.strictEqual(mmu.readByte(0x4000), 0x0a, 'ROM bank selected instead');
+
+    mmu.writeByte(0x2000, 0x0a);
+    mmu.writeByte(0xa000, 0x05);
+    assert.strictEqual(mmu.readByte(0xa000), 0xf5);
+    mmu.writeByte(0x3eff, 0x00);
+    assert.strictEqual(mmu.readByte(0xa000), 0xff);
+  });
+
+  it('stores the lower 4 bits and reads the upper 4 bits as 1s', () => {
+    const { mmu } = load();
+    mmu.writeByte(0x0000, 0x0a);
+    mmu.writeByte(0xa123, 0xab);
+    assert.strictEqual(mmu.readByte(0xa123), 0xfb);
+    assert.strictEqual(mmu.xram[0x123], 0x0b);
+  });
+
+  it('echoes the 512 half-bytes through A000-BFFF', () => {
+    const { mmu } = load();
+    mmu.writeByte(0x0000, 0x0a);
+    mmu.writeByte(0xa010, 0x03);
+    for (const addr of [0xa210, 0xa410, 0xb010, 0xbe10]) {
+      assert.strictEqual(mmu.readByte(addr), 0xf3, addr.toString(16));
+    }
+    mmu.writeByte(0xbfff, 0x0c);
+    assert.strictEqual(mmu.readByte(0xa1ff), 0xfc);
+  });
+
+  it('saves 512 bytes of RAM', () => {
+    const dmg = load();
+    dmg.mmu.writeByte(0x0000, 0x0a);
+    dmg.mmu.writeByte(0xa1ff, 0x09);
+    const data = dmg.exportSave();
+    assert.strictEqual(data.length, 512);
+    assert.strictEqual(data[0x1ff], 0x09);
+  });
+});
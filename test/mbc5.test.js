@@ -0,0 +1,88 @@
+// MBC5 bank switching
+const assert = require('assert');
+const { makeRom: makeCartRom, load } = require('./helpers/cart.js');
+
+// 8 MiB ROM with 128 KiB RAM unless fewer (banks) are given
+function makeRom(type = 0x1b, banks = 512) {
+  return makeCartRom(type, { banks, ramCode: 0x04 });
+}
+
+function readBank(mmu) {
+  return mmu.readByte(0x4000) | (mmu.readByte(0x4001) << 8);
+}
+
+describe('MBC5', () => {
+  it('maps bank 0 at 4000-7FFF', () => {
+    const { mmu } = load(makeRom());
+    mmu.writeByte(0x2000, 0x00);
+    assert.strictEqual(readBank(mmu), 0x000);
+  });
+
+  it('selects banks 0x100-0x1FF with the 9th bit', () => {
+    const { mmu } = load(makeRom());
+    for (const bank of [0x100, 0x155, 0x1ff]) {
+      mmu.writeByte(0x2000, bank & 0xff);
+      mmu.writeByte(0x3000, bank >> 8);
+      assert.strictEqual(readBank(mmu), bank);
+    }
+    mmu.writeByte(0x3000, 0x00);
+    assert.strictEqual(readBank(mmu), 0xff);
+  });
+
+  it('maps bank 1 at 4000-7FFF after reset', () => {
+    const { mmu } = load(makeRom());
+    assert.strictEqual(readBank(mmu), 0x001);
+    mmu.writeByte(0x3000, 0x01);
+    assert.strictEqual(readBank(mmu), 0x101);
+  });
+
+  it('wraps banks past the end of the ROM', () => {
+    const { mmu } = load(makeRom(0x1b, 64));
+    mmu.writeByte(0x2000, 0x45);
+    assert.strictEqual(readBank(mmu), 0x05);
+    mmu.writeByte(0x2000, 0x40);
+    assert.strictEqual(readBank(mmu), 0x00);
+    mmu.writeByte(0x2000, 0x03);
+    mmu.writeByte(0x3000, 0x01);
+    assert.strictEqual(readBank(mmu), 0x03);
+  });
+
+  it('only enables RAM with 0x0A in the lower bits', () => {
+    const { mmu } = load(makeRom());
+    mmu.writeByte(0x0000, 0x0a);
+    mmu.writeByte(0xa000, 0x42);
+    for (const value of [0x02, 0x08, 0x0b, 0x00]) {
+      mmu.writeByte(0x0000, value);
+      assert.strictEqual(mmu.readByte(0xa000), 0xff, 'enabled by ' + value);
+    }
+    mmu.writeByte(0x0000, 0x1a);
+    assert.strictEqual(mmu.readByte(0xa000), 0x42);
+  });
+
+  it('selects 16 RAM banks', () => {
+    const { mmu } = load(makeRom());
+    mmu.writeByte(0x0000, 0x0a);
+    for (let bank = 0; bank < 16; bank++) {
+      mmu.writeByte(0x4000, bank);
+      mmu.writeByte(0xa000, bank);
+    }
+    for (let bank = 0; bank < 16; bank++) {
+      mmu.writeByte(0x4000, bank);
+      assert.strictEqual(mmu.readByte(0xa000), bank);
+    }
+  });
+
+  it('switches the rumble motor with bit 3 instead of a RAM bank', () => {
+    const dmg = load(makeRom(0x1e));
+    const changes = [];
+    dmg.onRumble = (on) => changes.push(on);
+    dmg.mmu.writeByte(0x0000, 0x0a);
+    dmg.mmu.writeByte(0x4000, 0x01);
+    dmg.mmu.writeByte(0xa000, 0x11);
+    dmg.mmu.writeByte(0x4000, 0x09);
+    assert.deepStrictEqual(changes, [true]);
+    assert.strictEqual(dmg.mmu.readByte(0xa000), 0x11);
+    dmg.mmu.writeByte(0x4000, 0x01);
+    assert.deepStrictEqual(changes, [true, false]);
+  });
+});
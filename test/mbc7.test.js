@@ -0,0 +1,186 @@
+// MBC7 93LC56 EEPROM protocol and accelerometer
+const assert = require('assert');
+const cart = require('./helpers/cart.js');
+
+// MBC7+SENSOR+RUMBLE+RAM+BATTERY with both RAM enables set
+function load() {
+  const dmg = cart.load(cart.makeRom(0x22, { banks: 8 }));
+  dmg.mmu.writeByte(0x0000, 0x0a);
+  dmg.mmu.writeByte(0x4000, 0x40);
+  return dmg;
+}
+
+const EEPROM_PINS = 0xa080;
+
+// Clock (bit) into DI with chip select held, returns DO after the rising edge
+function clockBit(mmu, bit) {
+  mmu.writeByte(EEPROM_PINS, 0x80 | (bit << 1));
+  mmu.writeByte(EEPROM_PINS, 0xc0 | (bit << 1));
+  return mmu.readByte(EEPROM_PINS) & 1;
+}
+
+// Clock the lower (count) bits of (value) MSB first, returns the bits read from DO
+function clockBits(mmu, value, count) {
+  let out = 0;
+  for (let n = count - 1; n >= 0; n--) {
+    out = (out << 1) | clockBit(mmu, (value >> n) & 1);
+  }
+  return out;
+}
+
+// Select the chip and send a start bit, 2-bit opcode and 8-bit address
+function command(mmu, opcode, address) {
+  mmu.writeByte(EEPROM_PINS, 0x00);
+  mmu.writeByte(EEPROM_PINS, 0x80);
+  clockBits(mmu, (1 << 10) | (opcode << 8) | address, 11);
+}
+
+function deselect(mmu) {
+  mmu.writeByte(EEPROM_PINS, 0x00);
+}
+
+function readWord(mmu, address) {
+  command(mmu, 0b10, address);
+  assert.strictEqual(mmu.readByte(EEPROM_PINS) & 1, 0, 'dummy bit');
+  const value = clockBits(mmu, 0, 16);
+  deselect(mmu);
+  return value;
+}
+
+function writeWord(mmu, address, value) {
+  command(mmu, 0b01, address);
+  clockBits(mmu, value, 16);
+  deselect(mmu);
+}
+
+function enableWrites(mmu, enable) {
+  command(mmu, 0b00, enable ? 0xc0 : 0x00); // EWEN / EWDS
+  deselect(mmu);
+}
+
+function readAxis(mmu, low) {
+  return mmu.readByte(low) | (mmu.readByte(low + 0x10) << 8);
+}
+
+describe('MBC7', () => {
+  describe('EEPROM', () => {
+    it('reads words MSB first after a dummy 0 bit', () => {
+      const { mmu } = load();
+      mmu.eeprom.writeWord(0x12, 0xbeef);
+      mmu.eeprom.writeWord(0x13, 0x1234);
+      assert.strictEqual(readWord(mmu, 0x12), 0xbeef);
+
+      // Reads continue with the next word
+      command(mmu, 0b10, 0x12);
+      assert.strictEqual(clockBits(mmu, 0, 16), 0xbeef);
+      assert.strictEqual(clockBits(mmu, 0, 16), 0x1234);
+      deselect(mmu);
+    });
+
+    it('only writes between EWEN and EWDS', () => {
+      const { mmu } = load();
+      writeWord(mmu, 0x05, 0xa55a);
+      assert.strictEqual(readWord(mmu, 0x05), 0x0000);
+
+      enableWrites(mmu, true);
+      writeWord(mmu, 0x05, 0xa55a);
+      assert.strictEqual(readWord(mmu, 0x05), 0xa55a);
+      assert.strictEqual(mmu.xram[0x0a], 0x5a, 'stored little-endian in RAM');
+      assert.strictEqual(mmu.xram[0x0b], 0xa5);
+
+      enableWrites(mmu, false);
+      writeWord(mmu, 0x05, 0x0000);
+      assert.strictEqual(readWord(mmu, 0x05), 0xa55a);
+    });
+
+    it('erases a word with ERASE', () => {
+      const { mmu } = load();
+      enableWrites(mmu, true);
+      writeWord(mmu, 0x20, 0x1111);
+      writeWord(mmu, 0x21, 0x2222);
+      command(mmu, 0b11, 0x20);
+      deselect(mmu);
+      assert.strictEqual(readWord(mmu, 0x20), 0xffff);
+      assert.strictEqual(readWord(mmu, 0x21), 0x2222);
+    });
+
+    it('writes every word with WRAL and erases them with ERAL', () => {
+      const { mmu } = load();
+      enableWrites(mmu, true);
+      command(mmu, 0b00, 0x40);
+      clockBits(mmu, 0x4321, 16);
+      deselect(mmu);
+      for (const address of [0x00, 0x3f, 0x7f]) {
+        assert.strictEqual(readWord(mmu, address), 0x4321);
+      }
+      command(mmu, 0b00, 0x80);
+      deselect(mmu);
+      for (const address of [0x00, 0x3f, 0x7f]) {
+        assert.strictEqual(readWord(mmu, address), 0xffff);
+      }
+    });
+
+    it('aborts a command when the chip is deselected', () => {
+      const { mmu } = load();
+      enableWrites(mmu, true);
+      command(mmu, 0b01, 0x30);
+      clockBits(mmu, 0xff, 8);
+      deselect(mmu);
+      mmu.writeByte(EEPROM_PINS, 0x80);
+      clockBits(mmu, 0xff, 8);
+      deselect(mmu);
+      assert.strictEqual(readWord(mmu, 0x30), 0x0000);
+    });
+  });
+
+  describe('accelerometer', () => {
+    it('latches the tilt only after an erase', () => {
+      const dmg = load();
+      const { mmu } = dmg;
+      dmg.setTilt(1, -0.5);
+      mmu.writeByte(0xa010, 0xaa);
+      assert.strictEqual(readAxis(mmu, 0xa020), 0x8000);
+
+      mmu.writeByte(0xa000, 0x55);
+      assert.strictEqual(readAxis(mmu, 0xa020), 0x8000);
+      mmu.writeByte(0xa010, 0xaa);
+      assert.strictEqual(readAxis(mmu, 0xa020), 0x81d0 + 0x70);
+      assert.strictEqual(readAxis(mmu, 0xa040), 0x81d0 - 0x38);
+
+      // A second latch needs another erase
+      dmg.setTilt(0, 0);
+      mmu.writeByte(0xa010, 0xaa);
+      assert.strictEqual(readAxis(mmu, 0xa020), 0x81d0 + 0x70);
+      mmu.writeByte(0xa000, 0x55);
+      mmu.writeByte(0xa010, 0xaa);
+      assert.strictEqual(readAxis(mmu, 0xa020), 0x81d0);
+    });
+
+    it('reads 0xff unless both RAM enables are set', () => {
+      const { mmu } = load();
+      mmu.writeByte(0x4000, 0x00);
+      assert.strictEqual(mmu.readByte(0xa020), 0xff);
+      assert.strictEqual(mmu.readByte(EEPROM_PINS), 0xff);
+    });
+  });
+
+  describe('tilt input', () => {
+    it('maps the arrow keys to tilt', () => {
+      const dmg = load();
+      dmg.started = true;
+      dmg.keyPressed('ArrowRight', true);
+      dmg.keyPressed('ArrowUp', true);
+      assert.deepStrictEqual([dmg.joypad.tiltX, dmg.joypad.tiltY], [1, -1]);
+      dmg.keyPressed('ArrowRight', false);
+      assert.deepStrictEqual([dmg.joypad.tiltX, dmg.joypad.tiltY], [0, -1]);
+      dmg.keyPressed('ArrowDown', true);
+      assert.deepStrictEqual([dmg.joypad.tiltX, dmg.joypad.tiltY], [0, 0]);
+    });
+
+    it('clamps tilt to 1g per axis', () => {
+      const dmg = load();
+      dmg.setTilt(3, -2);
+      assert.deepStrictEqual([dmg.joypad.tiltX, dmg.joypad.tiltY], [1, -1]);
+    });
+  });
+});
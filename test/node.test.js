@@ -0,0 +1,40 @@
+// Headless core without a browser
+const assert = require('assert');
+const { PPU } = require('../dist/node.js');
+const cart = require('./helpers/cart.js');
+
+describe('headless core', () => {
+  it('runs without browser globals', () => {
+    for (const name of ['window', 'document', 'AudioContext', 'requestAnimationFrame']) {
+      assert.strictEqual(typeof globalThis[name], 'undefined', name);
+    }
+    const dmg = cart.load(cart.makeProgram([0x18, 0xfe])); // JR -2
+    for (let frame = 0; frame < 3; frame++) {
+      dmg.runFrame();
+    }
+    assert.strictEqual(dmg.frames, 3);
+  });
+
+  it('sends frames and audio to the sinks', () => {
+    const frames = [];
+    const samples = [];
+    let resets = 0;
+    const screen = {
+      reset: () => resets++,
+      update: (frameBuf) => frames.push(frameBuf.length),
+    };
+    const audio = {
+      sampleRate: 32768,
+      queue: (left, right) => samples.push(left.length, right.length),
+    };
+    const dmg = cart.load(cart.makeProgram([0x18, 0xfe]), { screen, audio });
+    assert.strictEqual(resets, 1);
+    for (let frame = 0; frame < 3; frame++) {
+      dmg.runFrame();
+    }
+    assert.ok(frames.length >= 1, 'frames shown');
+    assert.ok(frames.every((length) => length === PPU.VIEWPORT_WIDTH * PPU.VIEWPORT_HEIGHT * 4));
+    assert.ok(samples.length > 0, 'audio queued');
+    assert.ok(samples.every((length) => length === samples[0]), 'stereo buffers');
+  });
+});
@@ -0,0 +1,62 @@
+// The fast renderer draws the same pixels as the pixel FIFO
+const assert = require('assert');
+const cart = require('./helpers/cart.js');
+
+// Render two frames of random tiles and objects with LCDC (lcdc), tile data changes in between
+// and, with (writeLine) set, again when the second frame reaches that line
+function render(fastRender, cgb, lcdc, writeLine = null) {
+  const dmg = cart.load(cart.makeRom(), { fastRender });
+  dmg.cgbMode = cgb;
+  let seed = 7;
+  const random = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) >> 8;
+  for (const bank of cgb ? [0, 1] : [0]) {
+    dmg.mmu.writeByte(0xff4f, bank);
+    for (let addr = 0x8000; addr < 0xa000; addr++) {
+      dmg.mmu.writeByte(addr, random() & 0xff);
+    }
+  }
+  dmg.mmu.writeByte(0xff4f, 0);
+  for (let n = 0; n < 64; n++) {
+    dmg.mmu.bgPalette[n] = random() & 0xff;
+    dmg.mmu.objPalette[n] = random() & 0xff;
+  }
+  for (let n = 0; n < 40; n++) {
+    dmg.mmu.oam.set([16 + random() % 150, random() % 176, random() & 0xff, random() & 0xff], n * 4);
+  }
+  const registers = { 0xff40: lcdc, 0xff42: 13, 0xff43: 21, 0xff47: 0xe4, 0xff48: 0xd2, 0xff49: 0x1b, 0xff4a: 100, 0xff4b: 87 };
+  for (const [addr, value] of Object.entries(registers)) {
+    dmg.mmu.writeByte(Number(addr), value);
+  }
+  dmg.ppu.update(70224);
+  for (let addr = 0x8000; addr < 0x8800; addr += 3) {
+    dmg.mmu.writeByte(addr, random() & 0xff);
+  }
+  let written = false;
+  for (let dot = 0; dot < 70224; dot += 4) {
+    if (! written && dmg.mmu.readByte(0xff44) === writeLine) {
+      for (let addr = 0x8000; addr < 0x9800; addr += 5) {
+        dmg.mmu.writeByte(addr, random() & 0xff);
+      }
+      written = true;
+    }
+    dmg.ppu.update(4);
+  }
+  assert.strictEqual(written, writeLine !== null);
+  return dmg.ppu.frameBuf;
+}
+
+describe('fast renderer', () => {
+  for (const cgb of [false, true]) {
+    // BG, window and 8x16 objects / 8x8 objects / BG disabled / objects disabled
+    for (const lcdc of [0xf7, 0xe3, 0xb2, 0xe1]) {
+      it('matches the pixel FIFO on ' + (cgb ? 'CGB' : 'DMG') + ' with LCDC ' + lcdc.toString(16), () => {
+        assert.deepStrictEqual(render(true, cgb, lcdc), render(false, cgb, lcdc));
+      });
+    }
+
+    // Tiles decoded for the lines above have to be decoded again
+    it('matches the pixel FIFO on ' + (cgb ? 'CGB' : 'DMG') + ' after VRAM writes mid-frame', () => {
+      assert.deepStrictEqual(render(true, cgb, 0xf7, 72), render(false, cgb, 0xf7, 72));
+    });
+  }
+});
@@ -0,0 +1,123 @@
+// Game Boy Printer packets, RLE data and sheets
+const assert = require('assert');
+const { CaptureSerialPeer, Printer } = require('../dist/node.js');
+
+// Clock a packet into (printer), returns the two answer bytes
+function send(printer, command, data = [], { compressed = false, checksum = null } = {}) {
+  const header = [command, compressed ? 1 : 0, data.length & 0xff, data.length >> 8];
+  const sum = checksum === null ? [...header, ...data].reduce((a, b) => a + b, 0) & 0xffff : checksum;
+  for (const value of [0x88, 0x33, ...header, ...data, sum & 0xff, sum >> 8]) {
+    assert.strictEqual(printer.transfer(value), 0x00);
+  }
+  return [printer.transfer(0x00), printer.transfer(0x00)];
+}
+
+// One tile row of 20 tiles with every pixel set to (color)
+function tileRow(color) {
+  const low = color & 1 ? 0xff : 0x00;
+  const high = color & 2 ? 0xff : 0x00;
+  const data = [];
+  for (let n = 0; n < Printer.TILES_PER_ROW * 8; n++) {
+    data.push(low, high);
+  }
+  return data;
+}
+
+// Print with default palette and exposure
+function print(printer, sheets, marginBefore, marginAfter) {
+  return send(printer, Printer.PRINT, [sheets, (marginBefore << 4) | marginAfter, 0xe4, 0x40]);
+}
+
+describe('Game Boy Printer', () => {
+  it('answers alive and the status after each packet', () => {
+    const printer = new Printer();
+    assert.deepStrictEqual(send(printer, Printer.INIT), [Printer.ALIVE, 0x00]);
+    assert.deepStrictEqual(send(printer, Printer.DATA, tileRow(3)), [Printer.ALIVE, Printer.STATUS_UNPROCESSED]);
+    assert.deepStrictEqual(send(printer, Printer.DATA), [Printer.ALIVE, Printer.STATUS_UNPROCESSED | Printer.STATUS_FULL]);
+  });
+
+  it('resyncs on bytes outside a packet', () => {
+    const printer = new Printer();
+    for (const value of [0x00, 0x88, 0x00, 0x33]) {
+      printer.transfer(value);
+    }
+    assert.deepStrictEqual(send(printer, Printer.STATUS), [Printer.ALIVE, 0x00]);
+  });
+
+  it('flags checksum errors and ignores the packet', () => {
+    const printer = new Printer();
+    const [, status] = send(printer, Printer.DATA, tileRow(3), { checksum: 0x1234 });
+    assert.strictEqual(status, Printer.STATUS_CHECKSUM_ERROR);
+    assert.strictEqual(printer.data.length, 0);
+
+    // The next good packet clears the error
+    assert.deepStrictEqual(send(printer, Printer.STATUS), [Printer.ALIVE, 0x00]);
+  });
+
+  it('decompresses RLE runs and literal bytes', () => {
+    const printer = new Printer();
+    assert.deepStrictEqual(printer.decompress([0x81, 0xaa, 0x02, 1, 2, 3, 0x80, 0x55]), [0xaa, 0xaa, 0xaa, 1, 2, 3, 0x55, 0x55]);
+
+    // 320 bytes of 0x00 0xff pairs sent as literal runs, 320 bytes of 0xff as repeats
+    const packet = [];
+    for (let n = 0; n < 320; n += 128) {
+      const count = Math.min(128, 320 - n);
+      packet.push(count - 1, ...tileRow(2).slice(n, n + count));
+    }
+    packet.push(0xff, 0xff, 0xff, 0xff, 0xbc, 0xff);
+    send(printer, Printer.DATA, packet, { compressed: true });
+    assert.deepStrictEqual(printer.data, [...tileRow(2), ...tileRow(3)]);
+  });
+
+  it('prints a sheet when a margin follows', () => {
+    const sheets = [];
+    const printer = new Printer((image) => sheets.push(image));
+    send(printer, Printer.DATA, [...tileRow(1), ...tileRow(3)]);
+    send(printer, Printer.DATA);
+    print(printer, 1, 1, 2);
+    assert.strictEqual(sheets.length, 1);
+
+    const { width, height, data } = sheets[0];
+    assert.strictEqual(width, Printer.WIDTH);
+    assert.strictEqual(height, (1 + 2) * Printer.MARGIN_ROWS + 16);
+    const pixel = (y) => Array.from(data.subarray(y * width * 4, y * width * 4 + 4));
+    assert.deepStrictEqual(pixel(0), [0xff, 0xff, 0xff, 0xff], 'margin');
+    assert.deepStrictEqual(pixel(Printer.MARGIN_ROWS), [0xaa, 0xaa, 0xaa, 0xff]);
+    assert.deepStrictEqual(pixel(Printer.MARGIN_ROWS + 8), [0x00, 0x00, 0x00, 0xff]);
+  });
+
+  it('keeps prints without a margin on the sheet until it is cut', () => {
+    const sheets = [];
+    const printer = new Printer((image) => sheets.push(image));
+    for (let n = 0; n < 2; n++) {
+      send(printer, Printer.DATA, tileRow(3));
+      send(printer, Printer.DATA);
+      print(printer, 1, 0, 0);
+    }
+    assert.strictEqual(sheets.length, 0);
+    printer.cut();
+    assert.strictEqual(sheets.length, 1);
+    assert.strictEqual(sheets[0].height, 16);
+
+    printer.cut();
+    assert.strictEqual(sheets.length, 1, 'nothing left to cut');
+  });
+
+  it('reports busy for a few status inquiries after printing', () => {
+    const printer = new Printer();
+    send(printer, Printer.DATA, tileRow(3));
+    send(printer, Printer.DATA);
+    const [, status] = print(printer, 1, 0, 1);
+    assert.ok(status & Printer.STATUS_BUSY);
+    for (let n = 1; n < Printer.PRINT_BUSY_STATUS; n++) {
+      assert.ok(send(printer, Printer.STATUS)[1] & Printer.STATUS_BUSY);
+    }
+    assert.strictEqual(send(printer, Printer.STATUS)[1], 0x00);
+  });
+
+  it('answers through a serial capture tap', () => {
+    const tap = new CaptureSerialPeer(null, new Printer());
+    assert.deepStrictEqual(send(tap, Printer.STATUS), [Printer.ALIVE, 0x00]);
+    assert.deepStrictEqual(tap.data.slice(0, 3), [0x88, 0x33, Printer.STATUS]);
+  });
+});
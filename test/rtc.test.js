@@ -0,0 +1,89 @@
+// MBC3 real-time clock registers
+const assert = require('assert');
+const { CPU, RTC } = require('../dist/node.js');
+const cart = require('./helpers/cart.js');
+
+// MBC3+TIMER+RAM+BATTERY with RAM and clock registers enabled
+function load() {
+  const { mmu } = cart.load(cart.makeRom(0x10, { banks: 8, ramCode: 0x03 }));
+  mmu.writeByte(0x0000, 0x0a);
+  return mmu;
+}
+
+function latch(mmu) {
+  mmu.writeByte(0x6000, 0x00);
+  mmu.writeByte(0x6000, 0x01);
+}
+
+function readRegister(mmu, reg) {
+  mmu.writeByte(0x4000, reg);
+  return mmu.readByte(0xa000);
+}
+
+function writeRegister(mmu, reg, value) {
+  mmu.writeByte(0x4000, reg);
+  mmu.writeByte(0xa000, value);
+}
+
+describe('MBC3 RTC', () => {
+  it('reads the latched time until the next 0 to 1 latch', () => {
+    const mmu = load();
+    latch(mmu);
+    mmu.rtc.update(3 * CPU.CLOCK_SPEED);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_S) & 0x3f, 0);
+    mmu.writeByte(0x6000, 0x01);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_S) & 0x3f, 0);
+    latch(mmu);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_S) & 0x3f, 3);
+  });
+
+  it('shows register writes after the next latch only', () => {
+    const mmu = load();
+    latch(mmu);
+    writeRegister(mmu, RTC.RTC_M, 42);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_M) & 0x3f, 0);
+    latch(mmu);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_M) & 0x3f, 42);
+  });
+
+  it('stops counting while halted', () => {
+    const mmu = load();
+    writeRegister(mmu, RTC.RTC_DH, RTC.DH_HALT);
+    mmu.rtc.update(10 * CPU.CLOCK_SPEED);
+    writeRegister(mmu, RTC.RTC_DH, 0x00);
+    mmu.rtc.update(2 * CPU.CLOCK_SPEED);
+    latch(mmu);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_S) & 0x3f, 2);
+  });
+
+  it('carries the day counter from 511 to 0 and keeps the carry until cleared', () => {
+    const mmu = load();
+    writeRegister(mmu, RTC.RTC_S, 59);
+    writeRegister(mmu, RTC.RTC_M, 59);
+    writeRegister(mmu, RTC.RTC_H, 23);
+    writeRegister(mmu, RTC.RTC_DL, 0xff);
+    writeRegister(mmu, RTC.RTC_DH, 0x01);
+    mmu.rtc.update(CPU.CLOCK_SPEED);
+    latch(mmu);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_DL), 0x00);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_DH) & 0xc1, RTC.DH_CARRY);
+
+    mmu.rtc.update(24 * 3600 * CPU.CLOCK_SPEED);
+    latch(mmu);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_DL), 0x01);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_DH) & 0xc1, RTC.DH_CARRY);
+
+    writeRegister(mmu, RTC.RTC_DH, 0x00);
+    latch(mmu);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_DH) & 0xc1, 0x00);
+  });
+
+  it('counts the day counter into bit 8', () => {
+    const mmu = load();
+    writeRegister(mmu, RTC.RTC_DL, 0xff);
+    mmu.rtc.update(24 * 3600 * CPU.CLOCK_SPEED);
+    latch(mmu);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_DL), 0x00);
+    assert.strictEqual(readRegister(mmu, RTC.RTC_DH) & 0xc1, 0x01);
+  });
+});
@@ -0,0 +1,73 @@
+// Save states restore every component or nothing
+const assert = require('assert');
+const cart = require('./helpers/cart.js');
+
+// Endless loop incrementing A on MBC1+RAM+BATTERY, with RAM to check the MMU state
+function load() {
+  const dmg = cart.load(cart.makeProgram([0x3c, 0x18, 0xfd], 0x03, { ramCode: 0x02 })); // INC A; JR -3
+  dmg.mmu.writeByte(0x0000, 0x0a);
+  return dmg;
+}
+
+describe('save states', () => {
+  it('restores a saved state', () => {
+    const dmg = load();
+    dmg.mmu.writeByte(0xa000, 0x11);
+    dmg.runFrame();
+    const state = dmg.saveState();
+    const a = dmg.cpu.A;
+
+    dmg.mmu.writeByte(0xa000, 0x22);
+    dmg.runFrame();
+    dmg.loadState(state);
+    assert.strictEqual(dmg.cpu.A, a);
+    assert.strictEqual(dmg.mmu.readByte(0xa000), 0x11);
+    assert.deepStrictEqual(dmg.saveState(), state);
+  });
+
+  it('leaves the emulator untouched when a state is truncated', () => {
+    const dmg = load();
+    dmg.mmu.writeByte(0xa000, 0x11);
+    dmg.runFrame();
+    const state = dmg.saveState();
+
+    dmg.mmu.writeByte(0xa000, 0x22);
+    dmg.runFrame();
+    const before = dmg.saveState();
+    for (const length of [state.length - 1, Math.floor(state.length / 2), 64]) {
+      assert.throws(() => dmg.loadState(state.slice(0, length)), /truncated|mismatch/);
+      assert.deepStrictEqual(dmg.saveState(), before);
+    }
+  });
+
+  it('rejects states with unexpected trailing data', () => {
+    const dmg = load();
+    const state = dmg.saveState();
+    const before = dmg.saveState();
+    const padded = new Uint8Array(state.length + 4);
+    padded.set(state);
+    assert.throws(() => dmg.loadState(padded), /unexpected bytes/);
+    assert.deepStrictEqual(dmg.saveState(), before);
+  });
+
+  it('leaves the emulator untouched when an array size does not match', () => {
+    const dmg = load();
+    const state = dmg.saveState();
+    // Shrink the 128 KiB ext. RAM array by one byte
+    const view = new DataView(state.buffer);
+    let offset = 0;
+    while (view.getInt32(offset, true) !== 128 * 1024) {
+      offset++;
+    }
+    view.setInt32(offset, 128 * 1024 - 1, true);
+    const data = new Uint8Array(state.length - 1);
+    data.set(state.subarray(0, offset + 4));
+    data.set(state.subarray(offset + 5), offset + 4);
+
+    dmg.mmu.writeByte(0xa000, 0x33);
+    dmg.runFrame();
+    const before = dmg.saveState();
+    assert.throws(() => dmg.loadState(data), /mismatch/);
+    assert.deepStrictEqual(dmg.saveState(), before);
+  });
+});
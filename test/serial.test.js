@@ -0,0 +1,101 @@
+// Serial port registers and interrupt
+const assert = require('assert');
+const { CPU, Serial } = require('../dist/node.js');
+const cart = require('./helpers/cart.js');
+
+function serialRequested(dmg) {
+  return (dmg.mmu.readByte(CPU.IF_REG) & CPU.IF_SERIAL) !== 0;
+}
+
+// Peer answering with (value), recording the bytes it was sent
+class EchoPeer {
+  constructor(value) {
+    this.value = value;
+    this.data = [];
+  }
+
+  transfer(value) {
+    this.data.push(value);
+    return this.value;
+  }
+}
+
+// Emulator with SB = 0x5a and a peer answering 0xa5, on a CGB when (cgb) is set
+function load(cgb = false) {
+  const rom = cart.makeRom();
+  if (cgb) {
+    rom[0x0143] = 0x80;
+    rom[0x014b] = 0x33;
+  }
+  const dmg = cart.load(rom);
+  const peer = new EchoPeer(0xa5);
+  dmg.serial.connect(peer);
+  dmg.mmu.writeByte(CPU.IF_REG, 0x00);
+  dmg.mmu.writeByte(Serial.SB, 0x5a);
+  return { dmg, peer };
+}
+
+describe('serial port', () => {
+  it('shifts a byte with the internal clock and requests the interrupt', () => {
+    const { dmg, peer } = load();
+    dmg.mmu.writeByte(Serial.SC, Serial.SC_TRANSFER | Serial.SC_INTERNAL);
+    assert.deepStrictEqual(peer.data, [0x5a]);
+    assert.strictEqual(dmg.mmu.readByte(Serial.SC), 0xff);
+
+    dmg.serial.update(Serial.BIT_CYCLES);
+    assert.strictEqual(dmg.mmu.readByte(Serial.SB), 0xb5, 'one bit shifted in');
+
+    dmg.serial.update(Serial.BIT_CYCLES * 7 - 4);
+    assert.ok(dmg.serial.isTransferring());
+    assert.ok(! serialRequested(dmg));
+
+    dmg.serial.update(4);
+    assert.ok(! dmg.serial.isTransferring());
+    assert.ok(serialRequested(dmg));
+    assert.strictEqual(dmg.mmu.readByte(Serial.SB), 0xa5);
+    assert.strictEqual(dmg.mmu.readByte(Serial.SC), 0x7f);
+  });
+
+  it('clocks a bit every 16 cycles in CGB fast mode', () => {
+    const { dmg } = load(true);
+    dmg.mmu.writeByte(Serial.SC, Serial.SC_TRANSFER | Serial.SC_FAST | Serial.SC_INTERNAL);
+    dmg.serial.update(Serial.FAST_BIT_CYCLES * 8);
+    assert.ok(serialRequested(dmg));
+    assert.strictEqual(dmg.mmu.readByte(Serial.SB), 0xa5);
+  });
+
+  it('waits for the peer to clock a transfer with the external clock', () => {
+    const { dmg, peer } = load();
+    dmg.mmu.writeByte(Serial.SC, Serial.SC_TRANSFER);
+    dmg.serial.update(Serial.BIT_CYCLES * 16);
+    assert.ok(dmg.serial.isTransferring());
+    assert.ok(! serialRequested(dmg));
+    assert.deepStrictEqual(peer.data, []);
+
+    assert.strictEqual(dmg.serial.receive(0x3c), 0x5a);
+    assert.ok(! dmg.serial.isTransferring());
+    assert.ok(serialRequested(dmg));
+    assert.strictEqual(dmg.mmu.readByte(Serial.SB), 0x3c);
+  });
+
+  it('wakes the CPU from HALT into the serial interrupt handler', () => {
+    const rom = cart.makeProgram([
+      0x3e, CPU.IF_SERIAL, // LD A,IF_SERIAL
+      0xe0, 0xff,          // LDH (IE),A
+      0xaf,                // XOR A
+      0xe0, 0x0f,          // LDH (IF),A
+      0x3e, 0x81,          // LD A,$81
+      0xe0, 0x02,          // LDH (SC),A
+      0xfb,                // EI
+      0x76,                // HALT
+      0x18, 0xfe,          // JR -2
+    ]);
+    rom.set([0x18, 0xfe], CPU.IH_SERIAL); // JR -2
+    const dmg = cart.load(rom);
+    for (let n = 0; n < 1200 && dmg.cpu.PC !== CPU.IH_SERIAL; n++) {
+      dmg.cpu.update();
+    }
+    assert.strictEqual(dmg.cpu.PC, CPU.IH_SERIAL);
+    assert.ok(! serialRequested(dmg), 'request cleared when serviced');
+  });
+});
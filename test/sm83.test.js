@@ -0,0 +1,19 @@
+// CPU instructions against vectors in the SingleStepTests sm83 format
+// The vectors in test/sm83 are written by hand from the Pan Docs timings, not taken from the
+// upstream suite. Run the full suite with `node bin/sm83.js DIR`.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTest } = require('../bin/sm83.js');
+
+const DIR = path.join(__dirname, 'sm83');
+
+describe('sm83 vectors', () => {
+  for (const file of fs.readdirSync(DIR).filter((file) => file.endsWith('.json')).sort()) {
+    for (const test of JSON.parse(fs.readFileSync(path.join(DIR, file), 'utf8'))) {
+      it(test.name, () => {
+        assert.deepStrictEqual(runTest(test), []);
+      });
+    }
+  }
+});
@@ -0,0 +1,85 @@
+// STAT interrupt line
+const assert = require('assert');
+const { CPU, PPU } = require('../dist/node.js');
+const cart = require('./helpers/cart.js');
+
+function statRequested(dmg) {
+  return (dmg.mmu.readByte(CPU.IF_REG) & CPU.IF_STAT) !== 0;
+}
+
+function clearStat(dmg) {
+  dmg.mmu.writeByte(CPU.IF_REG, dmg.mmu.readByte(CPU.IF_REG) & ~CPU.IF_STAT);
+}
+
+function mode(dmg) {
+  return dmg.mmu.readByte(PPU.STAT_REG) & 0x3;
+}
+
+// Advance the PPU an M-cycle at a time until (done) returns true
+function runUntil(dmg, done) {
+  for (let n = 0; n < 70224 && ! done(); n += 4) {
+    dmg.ppu.update(4);
+  }
+  assert.ok(done(), 'condition not reached within a frame');
+}
+
+// LCD on with STAT interrupt sources (sources) enabled, in mode 3 of line 0
+function load(sources) {
+  const dmg = cart.load(cart.makeRom());
+  dmg.mmu.writeByte(PPU.STAT_REG, sources);
+  dmg.mmu.writeByte(PPU.LCDC_REG, 0x91);
+  runUntil(dmg, () => mode(dmg) === PPU.STAT_TRANSFER_MODE);
+  clearStat(dmg);
+  return dmg;
+}
+
+describe('STAT interrupt', () => {
+  it('is requested once when HBLANK starts', () => {
+    const dmg = load(PPU.STAT_HBLANK_ENABLE);
+    runUntil(dmg, () => mode(dmg) === PPU.STAT_HBLANK_MODE);
+    assert.ok(statRequested(dmg));
+
+    clearStat(dmg);
+    dmg.ppu.update(4);
+    assert.ok(! statRequested(dmg), 'not requested again during the same HBLANK');
+
+    runUntil(dmg, () => mode(dmg) === PPU.STAT_OAM_MODE);
+    runUntil(dmg, () => mode(dmg) === PPU.STAT_HBLANK_MODE);
+    assert.ok(statRequested(dmg), 'requested again on the next line');
+  });
+
+  it('is blocked when another source keeps the line high', () => {
+    const dmg = load(PPU.STAT_HBLANK_ENABLE | PPU.STAT_OAM_ENABLE);
+    runUntil(dmg, () => mode(dmg) === PPU.STAT_HBLANK_MODE);
+    clearStat(dmg);
+    runUntil(dmg, () => mode(dmg) === PPU.STAT_OAM_MODE);
+    assert.ok(! statRequested(dmg), 'HBLANK to OAM scan keeps the line high');
+
+    runUntil(dmg, () => mode(dmg) === PPU.STAT_TRANSFER_MODE);
+    runUntil(dmg, () => mode(dmg) === PPU.STAT_HBLANK_MODE);
+    assert.ok(statRequested(dmg), 'line went low during mode 3');
+  });
+
+  it('is requested once when LY matches LYC', () => {
+    const dmg = load(PPU.STAT_LYCLY_ENABLE);
+    dmg.mmu.writeByte(PPU.LYC_REG, 5);
+    runUntil(dmg, () => dmg.mmu.readByte(PPU.LY_REG) === 5);
+    assert.ok(statRequested(dmg));
+    assert.ok(dmg.mmu.readByte(PPU.STAT_REG) & PPU.STAT_LYCLY_EQUAL);
+
+    clearStat(dmg);
+    runUntil(dmg, () => mode(dmg) === PPU.STAT_HBLANK_MODE);
+    assert.ok(! statRequested(dmg), 'not requested again on the same line');
+
+    runUntil(dmg, () => dmg.mmu.readByte(PPU.LY_REG) === 6);
+    assert.strictEqual(dmg.mmu.readByte(PPU.STAT_REG) & PPU.STAT_LYCLY_EQUAL, 0);
+  });
+
+  it('keeps the mode and LYC=LY bits on STAT writes', () => {
+    const dmg = load(0x00);
+    dmg.mmu.writeByte(PPU.STAT_REG, PPU.STAT_HBLANK_ENABLE | 0x07);
+    assert.strictEqual(mode(dmg), PPU.STAT_TRANSFER_MODE);
+    dmg.ppu.update(4);
+    assert.ok(! statRequested(dmg), 'mode 3 is not HBLANK');
+  });
+});
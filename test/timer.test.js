@@ -0,0 +1,87 @@
+// Timer falling edge detector and TIMA reload
+const assert = require('assert');
+const { CPU, Timer } = require('../dist/node.js');
+const cart = require('./helpers/cart.js');
+
+function timerRequested(dmg) {
+  return (dmg.mmu.readByte(CPU.IF_REG) & CPU.IF_TIMER) !== 0;
+}
+
+// Timer at 262144 Hz (counter bit 3) with DIV reset, TIMA = (tima) and TMA = 0x42
+function load(tima) {
+  const dmg = cart.load(cart.makeRom());
+  dmg.mmu.writeByte(CPU.IF_REG, 0x00);
+  dmg.mmu.writeByte(Timer.DIV, 0);
+  dmg.mmu.writeByte(Timer.TAC, Timer.TAC_ENABLE | 0x01);
+  dmg.mmu.writeByte(Timer.TIMA, tima);
+  dmg.mmu.writeByte(Timer.TMA, 0x42);
+  return dmg;
+}
+
+describe('timer', () => {
+  it('increments TIMA every 16 cycles at 262144 Hz', () => {
+    const dmg = load(0x00);
+    dmg.timer.update(12);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x00);
+    dmg.timer.update(4);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x01);
+    dmg.timer.update(32);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x03);
+  });
+
+  it('increments TIMA when a DIV reset clears the selected bit', () => {
+    const dmg = load(0x00);
+    dmg.timer.update(8); // bit 3 set
+    dmg.mmu.writeByte(Timer.DIV, 0);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x01);
+
+    dmg.timer.update(4); // bit 3 clear
+    dmg.mmu.writeByte(Timer.DIV, 0);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x01);
+  });
+
+  it('increments TIMA when a TAC write lowers the timer signal', () => {
+    const dmg = load(0x00);
+    dmg.timer.update(8);
+    dmg.mmu.writeByte(Timer.TAC, 0x01); // disabled
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x01);
+
+    dmg.mmu.writeByte(Timer.TAC, Timer.TAC_ENABLE | 0x01);
+    dmg.mmu.writeByte(Timer.TAC, Timer.TAC_ENABLE | 0x00); // bit 9 clear
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x02);
+  });
+
+  it('reads TIMA as 0 for one M-cycle before loading TMA on overflow', () => {
+    const dmg = load(0xff);
+    dmg.timer.update(16);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x00);
+    assert.ok(! timerRequested(dmg), 'interrupt is delayed with the reload');
+
+    dmg.timer.update(4);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x42);
+    assert.ok(timerRequested(dmg));
+  });
+
+  it('cancels the reload when TIMA is written during the overflow M-cycle', () => {
+    const dmg = load(0xff);
+    dmg.timer.update(16);
+    dmg.mmu.writeByte(Timer.TIMA, 0x10);
+    dmg.timer.update(4);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x10);
+    assert.ok(! timerRequested(dmg));
+  });
+
+  it('ignores TIMA writes and takes TMA writes in the reload M-cycle', () => {
+    const dmg = load(0xff);
+    dmg.timer.update(20);
+    dmg.mmu.writeByte(Timer.TIMA, 0x10);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x42);
+
+    dmg.mmu.writeByte(Timer.TMA, 0x80);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x80);
+
+    dmg.timer.update(4);
+    dmg.mmu.writeByte(Timer.TIMA, 0x10);
+    assert.strictEqual(dmg.mmu.readByte(Timer.TIMA), 0x10);
+  });
+});
@@ -0,0 +1,81 @@
+// Memory accesses happen on their own M-cycle of an instruction
+const assert = require('assert');
+const cart = require('./helpers/cart.js');
+
+// Run (code) from 0100 and record the cycles the system was advanced by the CPU, as of each
+// access to work RAM, counted from the start of the instruction
+function traceAccesses(code, steps) {
+  const dmg = cart.load(cart.makeProgram(code));
+  const { mmu } = dmg;
+  const tick = dmg.tick.bind(dmg);
+  const readByte = mmu.readByte.bind(mmu);
+  const writeByte = mmu.writeByte.bind(mmu);
+  const accesses = [];
+  let elapsed = 0;
+  dmg.tick = (cycles) => {
+    elapsed += cycles;
+    tick(cycles);
+  };
+  mmu.readByte = (loc) => {
+    if (loc >= 0xc000 && loc <= 0xdfff) {
+      accesses.push(['read', loc, elapsed]);
+    }
+    return readByte(loc);
+  };
+  mmu.writeByte = (loc, value) => {
+    if (loc >= 0xc000 && loc <= 0xdfff) {
+      accesses.push(['write', loc, elapsed]);
+    }
+    return writeByte(loc, value);
+  };
+  for (let n = 0; n < steps; n++) {
+    elapsed = 0;
+    dmg.cpu.update();
+  }
+  return accesses;
+}
+
+// Reset DIV, wait 60 NOPs and read DIV with (read)
+function readDIV(read) {
+  const dmg = cart.load(cart.makeProgram([
+    0xe0, 0x04,       // LDH (DIV),A
+    ...new Array(60).fill(0x00),
+    ...read,
+    0xea, 0x00, 0xc0, // LD ($C000),A
+    0x18, 0xfe,       // JR -2
+  ]));
+  for (let n = 0; n < 64; n++) {
+    dmg.cpu.update();
+  }
+  return dmg.mmu.readByte(0xc000);
+}
+
+describe('M-cycle timing', () => {
+  it('advances the system before each memory access', () => {
+    const accesses = traceAccesses([
+      0x31, 0x00, 0xd0, // LD SP,$D000
+      0xea, 0x00, 0xc0, // LD ($C000),A
+      0xfa, 0x00, 0xc0, // LD A,($C000)
+      0x21, 0x01, 0xc0, // LD HL,$C001
+      0x34,             // INC (HL)
+      0xc5,             // PUSH BC
+      0xcd, 0x00, 0x02, // CALL $0200
+    ], 7);
+    assert.deepStrictEqual(accesses, [
+      ['write', 0xc000, 16],
+      ['read', 0xc000, 16],
+      ['read', 0xc001, 8],
+      ['write', 0xc001, 12],
+      ['write', 0xcfff, 12],
+      ['write', 0xcffe, 16],
+      ['write', 0xcffd, 20],
+      ['write', 0xcffc, 24],
+    ]);
+  });
+
+  it('reads timer registers on the last M-cycle of the instruction', () => {
+    // 252 cycles after the reset with LDH, 256 with the 4 M-cycle LD A,(a16)
+    assert.strictEqual(readDIV([0xf0, 0x04]), 0x00);       // LDH A,(DIV)
+    assert.strictEqual(readDIV([0xfa, 0x04, 0xff]), 0x01); // LD A,($FF04)
+  });
+});
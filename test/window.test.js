@@ -0,0 +1,122 @@
+// Window position and line counter
+const assert = require('assert');
+const { PPU } = require('../dist/node.js');
+const cart = require('./helpers/cart.js');
+
+// Window rows 0-7 are color 3, rows 8-15 color 1 and the rest color 2, the BG is color 0
+// Registers are set through (onLine) when each line starts, the emulator is returned after two frames
+function render(fastRender, onLine) {
+  const dmg = cart.load(cart.makeRom(), { fastRender });
+  const { mmu } = dmg;
+  mmu.writeByte(PPU.LCDC_REG, 0x00);
+  const tiles = [[0xff, 0xff], [0xff, 0x00], [0x00, 0xff]];
+  tiles.forEach((bytes, n) => {
+    for (let row = 0; row < 8; row++) {
+      mmu.writeByte(0x8010 + n * 16 + row * 2, bytes[0]);
+      mmu.writeByte(0x8011 + n * 16 + row * 2, bytes[1]);
+    }
+  });
+  for (let n = 0; n < 0x400; n++) {
+    mmu.writeByte(0x9800 + n, 0);
+    mmu.writeByte(0x9c00 + n, n < 32 ? 1 : n < 64 ? 2 : 3);
+  }
+  mmu.writeByte(PPU.BGP_REG, 0xe4);
+  mmu.writeByte(PPU.LCDC_REG, 0xf1); // window map at 9C00, tile data at 8000
+
+  let line = -1;
+  for (let dot = 0; dot < 70224 * 2; dot += 4) {
+    const ly = mmu.readByte(PPU.LY_REG);
+    if (ly !== line) {
+      line = ly;
+      onLine(mmu, ly);
+    }
+    dmg.ppu.update(4);
+  }
+  return dmg;
+}
+
+// Color number drawn at (x, y) with BGP = E4
+function shade(dmg, x, y) {
+  const offset = (y * PPU.VIEWPORT_WIDTH + x) * 4;
+  const rgb = Array.from(dmg.ppu.frameBuf.subarray(offset, offset + 3));
+  return PPU.DEFAULT_PALETTE.findIndex((color) => color.every((value, n) => value === rgb[n]));
+}
+
+// Window at (wx, wy) on every line
+function position(wx, wy) {
+  return (mmu) => {
+    mmu.writeByte(PPU.WINX_REG, wx);
+    mmu.writeByte(PPU.WINY_REG, wy);
+  };
+}
+
+describe('window', () => {
+  for (const fastRender of [false, true]) {
+    const renderer = fastRender ? 'fast renderer' : 'pixel FIFO';
+
+    it('starts at WX - 7 from the line matching WY with the ' + renderer, () => {
+      const dmg = render(fastRender, position(47, 10));
+      assert.strictEqual(shade(dmg, 50, 9), 0);
+      assert.strictEqual(shade(dmg, 39, 10), 0);
+      assert.strictEqual(shade(dmg, 40, 10), 3);
+      assert.strictEqual(shade(dmg, 159, 17), 3);
+      assert.strictEqual(shade(dmg, 40, 18), 1);
+      assert.strictEqual(shade(dmg, 40, 26), 2);
+    });
+
+    it('cuts off the first 7 - WX pixels with the ' + renderer, () => {
+      // Window tile columns alternate colors 3 and 1 on the first row
+      const dmg = render(fastRender, (mmu, ly) => {
+        position(3, 0)(mmu);
+        if (ly === 0) {
+          for (let n = 1; n < 32; n += 2) {
+            mmu.writeByte(0x9c00 + n, 2);
+          }
+        }
+      });
+      assert.strictEqual(shade(dmg, 3, 0), 3);
+      assert.strictEqual(shade(dmg, 4, 0), 1);
+      assert.strictEqual(shade(dmg, 12, 0), 3);
+    });
+
+    for (const [hidden, hide] of [
+      ['disabled in LCDC', (mmu) => mmu.writeByte(PPU.LCDC_REG, 0xd1)],
+      ['moved off screen', (mmu) => mmu.writeByte(PPU.WINX_REG, 200)],
+    ]) {
+      it('does not advance its line counter on lines it is ' + hidden + ' with the ' + renderer, () => {
+        const dmg = render(fastRender, (mmu, ly) => {
+          mmu.writeByte(PPU.LCDC_REG, 0xf1);
+          position(7, 0)(mmu);
+          if (ly >= 4 && ly < 20) {
+            hide(mmu);
+          }
+        });
+        assert.strictEqual(shade(dmg, 0, 3), 3);
+        assert.strictEqual(shade(dmg, 0, 10), 0);
+        assert.strictEqual(shade(dmg, 0, 20), 3, 'window row 4');
+        assert.strictEqual(shade(dmg, 0, 24), 1, 'window row 8');
+        assert.strictEqual(shade(dmg, 0, 32), 2, 'window row 16');
+      });
+    }
+
+    it('stays triggered when WY changes after matching LY with the ' + renderer, () => {
+      const dmg = render(fastRender, (mmu, ly) => position(7, ly < 12 ? 10 : 100)(mmu));
+      assert.strictEqual(shade(dmg, 0, 30), 2, 'window row 20');
+    });
+
+    it('is not triggered by WY set to a line already drawn with the ' + renderer, () => {
+      const dmg = render(fastRender, (mmu, ly) => position(7, ly < 6 ? 200 : 5)(mmu));
+      assert.strictEqual(shade(dmg, 0, 6), 0);
+      assert.strictEqual(shade(dmg, 0, 100), 0);
+    });
+
+    it('covers the next line after WX 166 with the ' + renderer, () => {
+      const dmg = render(fastRender, (mmu, ly) => position(ly === 20 ? 166 : 200, 20)(mmu));
+      assert.strictEqual(shade(dmg, 158, 20), 0);
+      assert.strictEqual(shade(dmg, 159, 20), 3);
+      assert.strictEqual(shade(dmg, 0, 21), 3);
+      assert.strictEqual(shade(dmg, 159, 21), 3);
+      assert.strictEqual(shade(dmg, 0, 22), 0);
+    });
+  }
+});